@@ -0,0 +1,92 @@
+/**
+ * adaptive.js: Computerized Adaptive Testing (CAT) item selection for Form M
+ *
+ * Instead of walking all 93 items in order, an adaptive run re-estimates every
+ * dichotomy's theta after each answer and serves the single most useful item next:
+ *
+ * 1.  **Target dichotomy:** The dichotomy whose theta is least certain, i.e. has the
+ *     largest standard error (a dichotomy with no answers has an infinite one).
+ *     Dichotomies already below the SE threshold, or with no items left, are not targeted.
+ *
+ * 2.  **Item choice:** Among that dichotomy's items not yet administered, the one with
+ *     maximum Fisher information a^2 * P * Q at the current theta, using the 2PL
+ *     parameters of the instrument (for Form M, `itemParameterMatrix.js`).
+ *
+ * 3.  **Stopping rule:** The run ends when every dichotomy's standard error is below
+ *     `seThreshold`, when `maxItems` items have been administered, or when the item
+ *     bank is exhausted.
+ *
+ * Theta is re-estimated with EAP by default: MLE has no finite solution for the short,
+ * often all-same-pole response patterns seen early in an adaptive run.
+ */
+
+import { calculateResults, itemInformation } from './scorer.js';
+import { getInstrument, getItems } from './instruments.js';
+
+export const DEFAULT_ADAPTIVE_CONFIG = {
+    seThreshold: 0.5,
+    maxItems: 40,
+    estimator: 'EAP'
+};
+
+/**
+ * Picks the next item to administer, or returns null when the stopping rule is met.
+ *
+ * @param {object} answers - Answers keyed by 1-based question number, as for `calculateResults`.
+ * @param {number[]} administered - Zero-based indices of items already served (answered or skipped).
+ * @param {object} allQuestions - The parsed item bank file, e.g. questions.json ({ MBTI_Form_M: [...] }).
+ * @param {object} [config] - Overrides for DEFAULT_ADAPTIVE_CONFIG, plus an optional `instrument`
+ *     definition from instruments.js (default: Form M).
+ * @returns {{questionIndex: number, dichotomy: string} | null}
+ */
+export function selectNextItem(answers, administered, allQuestions, config = {}) {
+    const { seThreshold, maxItems, estimator } = { ...DEFAULT_ADAPTIVE_CONFIG, ...config };
+    const instrument = config.instrument || getInstrument();
+    const { itemParameters } = instrument;
+
+    if (administered.length >= maxItems) {
+        return null;
+    }
+
+    const { dichotomyResults } = calculateResults(answers, allQuestions, { estimator, instrument });
+    const administeredSet = new Set(administered);
+
+    // Remaining items grouped by dichotomy.
+    const remaining = {};
+    getItems(instrument, allQuestions).forEach((question, qIndex) => {
+        if (administeredSet.has(qIndex)) return;
+        const dichotomy = itemParameters[qIndex].dichotomy;
+        (remaining[dichotomy] = remaining[dichotomy] || []).push(qIndex);
+    });
+
+    // Step 1: The least certain dichotomy that still needs (and has) items.
+    let target = null;
+    let largestError = -1;
+    for (const [dichotomy, result] of Object.entries(dichotomyResults)) {
+        const standardError = result.standardError === null ? Infinity : result.standardError;
+        if (standardError < seThreshold || !remaining[dichotomy]) continue;
+        if (standardError > largestError) {
+            largestError = standardError;
+            target = dichotomy;
+        }
+    }
+
+    if (target === null) {
+        return null;
+    }
+
+    // Step 2: The most informative remaining item at the current theta.
+    const theta = dichotomyResults[target].theta;
+    let bestIndex = null;
+    let bestInformation = -1;
+    for (const qIndex of remaining[target]) {
+        const { a, b } = itemParameters[qIndex].params;
+        const information = itemInformation(theta, a, b);
+        if (information > bestInformation) {
+            bestInformation = information;
+            bestIndex = qIndex;
+        }
+    }
+
+    return { questionIndex: bestIndex, dichotomy: target };
+}
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * analyzeDif.mjs: Differential item functioning (DIF) across respondent groups
+ *
+ * Runs Mantel-Haenszel and IRT likelihood-ratio DIF for every item (see dif.js), matching
+ * respondents on their dichotomy theta, and lists the flagged items with ETS A/B/C
+ * categories and effect sizes.
+ * Requires Node.js 20.19 or later (it loads the browser ES modules directly).
+ *
+ * Usage:
+ *     node analyzeDif.mjs <input files...> --group <column> [--reference <group>]
+ *                         [--out dif.json|dif.csv] [--instrument <id>]
+ *
+ * Input files are CSV or JSON answer sheets, as described in respondentFiles.mjs; all
+ * files are pooled. --group names the CSV column (or JSON property) holding each
+ * respondent's group, e.g. `language`; respondents with an empty group are left out.
+ * Each other group is compared with --reference (default: the largest group).
+ *
+ * The full result is written to --out: JSON, or CSV with one row per item and focal group
+ * (format taken from the extension), or as JSON to stdout. Flagged items are summarised
+ * on stderr.
+ *
+ * Malformed rows are reported on stderr as `<file>:<line>: <problem>` and left out; the
+ * exit code is 1 if any input was malformed or the analysis failed, 2 on usage errors.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { getInstrument, getItems, DEFAULT_INSTRUMENT_ID } from './instruments.js';
+import { analyzeDif } from './dif.js';
+import { toCsv } from './csv.js';
+import { readRespondentFiles } from './respondentFiles.mjs';
+
+const CSV_COLUMNS = ['focal_group', 'item', 'dichotomy', 'part', 'facet', 'n_reference', 'n_focal',
+    'mh_alpha', 'mh_d_dif', 'mh_se', 'mh_chi_square', 'mh_p', 'ets_category',
+    'lr_g2', 'lr_p', 'lr_uniform_p', 'lr_nonuniform_p', 'a_reference', 'b_reference', 'a_focal', 'b_focal', 'delta_b', 'flagged'];
+
+function usage(message) {
+    if (message) console.error(`Error: ${message}\n`);
+    console.error('Usage: node analyzeDif.mjs <input files...> --group <column> [--reference <group>] [--out dif.json|dif.csv] [--instrument <id>]');
+    process.exit(2);
+}
+
+function parseArgs(argv) {
+    const options = { inputs: [], group: null, reference: undefined, out: null, instrument: DEFAULT_INSTRUMENT_ID };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (['--group', '--reference', '--out', '--instrument'].includes(arg)) {
+            if (i + 1 >= argv.length) usage(`${arg} needs a value.`);
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            usage();
+        } else if (arg.startsWith('--')) {
+            usage(`Unknown option ${arg}.`);
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+
+    if (options.inputs.length === 0) usage('No input files given.');
+    if (!options.group) usage('--group is required.');
+
+    return options;
+}
+
+function toRows(result) {
+    return result.comparisons.flatMap(({ focalGroup, items }) => items.map(item => {
+        const mh = item.mantelHaenszel || {};
+        const lr = item.likelihoodRatio || { uniform: {}, nonUniform: {}, reference: {}, focal: {} };
+        return {
+            focal_group: focalGroup,
+            item: item.number,
+            dichotomy: item.dichotomy,
+            part: item.part,
+            facet: item.facet,
+            n_reference: item.n.reference,
+            n_focal: item.n.focal,
+            mh_alpha: mh.alpha,
+            mh_d_dif: mh.dDif,
+            mh_se: mh.standardError,
+            mh_chi_square: mh.chiSquare,
+            mh_p: mh.p,
+            ets_category: mh.category,
+            lr_g2: lr.g2,
+            lr_p: lr.p,
+            lr_uniform_p: lr.uniform.p,
+            lr_nonuniform_p: lr.nonUniform.p,
+            a_reference: lr.reference.a,
+            b_reference: lr.reference.b,
+            a_focal: lr.focal.a,
+            b_focal: lr.focal.b,
+            delta_b: lr.deltaB,
+            flagged: item.flagged
+        };
+    }));
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    let instrument;
+    let allQuestions;
+    try {
+        instrument = getInstrument(options.instrument);
+        allQuestions = JSON.parse(fs.readFileSync(new URL(instrument.itemBank.url, import.meta.url), 'utf8'));
+    } catch (error) {
+        usage(error.message);
+    }
+    const questionsByNumber = new Map(getItems(instrument, allQuestions).map(question => [question.number, question]));
+
+    let malformed = 0;
+    const report = (location, message) => {
+        malformed++;
+        console.error(`${location}: ${message}`);
+    };
+
+    const respondents = readRespondentFiles(options.inputs, questionsByNumber, report)
+        .map(respondent => ({ answers: respondent.answers, group: respondent.fields[options.group] }));
+
+    let result;
+    try {
+        result = analyzeDif(respondents, allQuestions, { instrument, referenceGroup: options.reference });
+    } catch (error) {
+        console.error(`DIF analysis failed: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const output = options.out && path.extname(options.out).toLowerCase() === '.csv'
+        ? toCsv(CSV_COLUMNS, toRows(result))
+        : JSON.stringify({ groupVariable: options.group, ...result }, null, 2) + '\n';
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+
+    console.error(`Groups (${options.group}): ${Object.entries(result.groups).map(([name, count]) => `${name} ${count}`).join(', ')}; reference ${result.referenceGroup}.`);
+    if (result.flagged.length === 0) {
+        console.error('No items flagged.');
+    } else {
+        console.error(`${result.flagged.length} flagged item comparison(s):`);
+        result.flagged.forEach(item => {
+            console.error(`  ${item.focalGroup} item ${item.number} (${item.dichotomy}, Part ${item.part}): ETS ${item.category}, MH D-DIF ${item.dDif}, LR p ${item.lrP}, delta b ${item.deltaB}`);
+        });
+    }
+
+    process.exitCode = malformed > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * analyzeItems.mjs: Reliability and item-analysis report from a response dataset
+ *
+ * Reads respondents' A/B answers and reports per-dichotomy Cronbach's alpha and marginal
+ * IRT reliability, item-total correlations, option endorsement rates and test information
+ * curves (see itemAnalysis.js), to check that the instrument holds up in a given population.
+ * Requires Node.js 20.19 or later (it loads the browser ES modules directly).
+ *
+ * Usage:
+ *     node analyzeItems.mjs <input files...> [--out report.html|report.json]
+ *                           [--format html|json] [--title <text>] [--instrument <id>]
+ *
+ * Input files are CSV or JSON answer sheets, as described in respondentFiles.mjs; all
+ * files are pooled into one sample. The report is written to --out (format taken from
+ * the extension unless --format is given) or as JSON to stdout.
+ *
+ * Malformed rows are reported on stderr as `<file>:<line>: <problem>` and left out of
+ * the sample; the exit code is 1 if any input was malformed, 2 on usage errors.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { getInstrument, getItems, DEFAULT_INSTRUMENT_ID } from './instruments.js';
+import { analyzeResponses, buildItemAnalysisHtml } from './itemAnalysis.js';
+import { readRespondentFiles } from './respondentFiles.mjs';
+
+function usage(message) {
+    if (message) console.error(`Error: ${message}\n`);
+    console.error('Usage: node analyzeItems.mjs <input files...> [--out report.html|report.json] [--format html|json] [--title <text>] [--instrument <id>]');
+    process.exit(2);
+}
+
+function parseArgs(argv) {
+    const options = { inputs: [], out: null, format: null, title: 'Item Analysis Report', instrument: DEFAULT_INSTRUMENT_ID };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (['--out', '--format', '--title', '--instrument'].includes(arg)) {
+            if (i + 1 >= argv.length) usage(`${arg} needs a value.`);
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            usage();
+        } else if (arg.startsWith('--')) {
+            usage(`Unknown option ${arg}.`);
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+
+    if (options.inputs.length === 0) usage('No input files given.');
+    if (!options.format) {
+        options.format = options.out && ['.html', '.htm'].includes(path.extname(options.out).toLowerCase()) ? 'html' : 'json';
+    }
+    if (!['html', 'json'].includes(options.format)) usage(`Unknown format "${options.format}".`);
+
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    let instrument;
+    let allQuestions;
+    try {
+        instrument = getInstrument(options.instrument);
+        allQuestions = JSON.parse(fs.readFileSync(new URL(instrument.itemBank.url, import.meta.url), 'utf8'));
+    } catch (error) {
+        usage(error.message);
+    }
+    const questionsByNumber = new Map(getItems(instrument, allQuestions).map(question => [question.number, question]));
+
+    let malformed = 0;
+    const report = (location, message) => {
+        malformed++;
+        console.error(`${location}: ${message}`);
+    };
+
+    const respondents = readRespondentFiles(options.inputs, questionsByNumber, report);
+    if (respondents.length === 0) {
+        console.error('No usable respondents found.');
+        process.exitCode = 1;
+        return;
+    }
+
+    const analysis = analyzeResponses(respondents.map(respondent => respondent.answers), allQuestions, { instrument });
+    const output = options.format === 'html'
+        ? buildItemAnalysisHtml(analysis, { title: options.title })
+        : JSON.stringify(analysis, null, 2) + '\n';
+
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+        console.error(`Analysed ${respondents.length} respondent(s) into ${options.out}${malformed ? `; ${malformed} malformed row(s) skipped` : ''}.`);
+    } else {
+        process.stdout.write(output);
+    }
+
+    process.exitCode = malformed > 0 ? 1 : 0;
+}
+
+main();
@@ -1,4 +1,21 @@
-import { calculateResults } from './scorer.js';
+import { calculateResults, calculateFacetResults } from './scorer.js';
+import { selectNextItem, DEFAULT_ADAPTIVE_CONFIG } from './adaptive.js';
+import { saveSession, loadSession, clearSession } from './session.js';
+import { buildReportHtml, downloadReport, printReport, escapeHtml } from './report.js';
+import { buildResultRecord, recordsToCsv, parseResultFile } from './resultRecord.js';
+import { downloadFile, readFileAsText } from './download.js';
+import { assessValidity } from './validity.js';
+import { createItemTelemetry, createTelemetry, responseTimesByNumber } from './telemetry.js';
+import { listInstruments, getInstrument, getItems, withItemParameters, DEFAULT_INSTRUMENT_ID } from './instruments.js';
+import { validateItemBank } from './itemBankValidator.js';
+import { summarizeTeam } from './teamSummary.js';
+import { compareAdministrations } from './longitudinal.js';
+import { comparePair } from './pairComparison.js';
+import { describeTypeDynamics, isTypeCode } from './typeDynamics.js';
+import { loadTypeProfiles, buildTypeProfile } from './typeProfiles.js';
+import { createVerificationLog, recordStep, wholeTypeCandidates, recordWholeType } from './bestFit.js';
+import { listSessions, createSession, getSession, updateSession, addParticipants, getParticipant, syncParticipant, participantLink } from './facilitator.js';
+import { LOCALES, resolveLocale, loadLocalePreference, saveLocalePreference, loadTranslator, translatePage, loadItemTranslation, localizeItems } from './i18n.js';
 // Import the parameter matrix so the scorer has access to it.
 // Even though we don't use it directly here, JavaScript modules need the full import graph.
 import { itemParameters } from './itemParameterMatrix.js';
@@ -6,27 +23,63 @@ import { itemParameters } from './itemParameterMatrix.js';
 
 document.addEventListener('DOMContentLoaded', () => {
     // --- STATE MANAGEMENT ---
-    let allQuestions = [];
+    let instrument = null; // Active instrument definition; see instruments.js
+    let itemBankData = null; // Parsed item bank file of the active instrument, as passed to the scorer
+    let allQuestions = []; // Items of the active instrument, with their text in the active locale
+    let t = null; // Translator of the active locale; see i18n.js
     let currentQuestionIndex = 0;
+    let questionSequence = []; // Indices of the questions served, in order
+    let sequencePosition = 0; // Position of currentQuestionIndex within questionSequence
+    let adaptiveMode = false;
+    let autoAdvance = true; // Move on after each answer; otherwise the respondent confirms with Next
+    let autoAdvanceTimer = null; // Pending auto-advance, cancelled by any other navigation
     let userAnswers = [];
+    let itemTelemetry = []; // Timing and navigation behaviour per question index; see telemetry.js
+    let questionShownAt = 0;
     let reportedType = {}; // This will store the final dichotomy results
+    let facetResults = {};
+    let validityResults = null;
+    let scoringEstimator = null; // Estimator reported by the scorer for `reportedType`
+    let startedAt = null; // ISO-8601 timestamps of the administration
+    let completedAt = null;
     let bestFitType = {};
-    let currentVerificationIndex = 0;
+    let currentVerificationIndex = 0; // DICHOTOMY_ORDER.length during the whole-type stage
+    let verificationLog = createVerificationLog(); // Choices, confidence and overrides; see bestFit.js
+    let currentPhase = 'welcome'; // Key of the active entry in `screens`
+    let reviewQueue = null; // Question indices still to visit from the review screen; null outside a review
+    let reviewFilter = 'all'; // Part shown on the review screen, or 'all'
+    let teamMembers = []; // Records added to the team dashboard, as { label, record }
+    let teamReturnScreen = null; // Screen the team dashboard's Back button returns to
+    let comparedRecords = []; // Administrations of one respondent on the comparison screen, as { label, record }
+    let compareReturnScreen = null; // Screen the comparison's Back button returns to
+    let pairedRecords = [null, null]; // The two people on the pair comparison screen, as { label, record }
+    let pairReturnScreen = null; // Screen the pair comparison's Back button returns to
+    let participant = null; // Facilitated session joined from a start link or code; see facilitator.js
+    let facilitatorSession = null; // Session open on the facilitator screen, with its roster
+    let facilitatorPoll = null; // Interval refreshing the roster while the facilitator screen is open
 
-    const DICHOTOMY_ORDER = ['E-I', 'S-N', 'T-F', 'J-P'];
+    let DICHOTOMY_ORDER = ['E-I', 'S-N', 'T-F', 'J-P']; // Replaced by the active instrument's scale order
     const OMISSION_THRESHOLD = 15; // Threshold for showing a warning
+    const AUTO_ADVANCE_DELAY = 300; // Milliseconds the selection stays visible before moving on
+    const PERSISTED_PHASES = ['quiz', 'review', 'results', 'verification', 'final']; // Phases worth resuming
+    const SCORING_ESTIMATOR = 'MLE'; // 'MLE', 'MAP' or 'EAP'; see scorer.js
+    const ADAPTIVE_CONFIG = { ...DEFAULT_ADAPTIVE_CONFIG }; // seThreshold, maxItems, estimator; see adaptive.js
+    // Dev mode (served from localhost, or ?dev in the URL) checks the item bank on load.
+    const DEV_MODE = ['localhost', '127.0.0.1'].includes(location.hostname) || new URLSearchParams(location.search).has('dev');
+    // ?parameters=<url> scores with a recalibrated matrix (JSON from calibrateItems.mjs) instead of the instrument's own.
+    const PARAMETERS_URL = new URLSearchParams(location.search).get('parameters');
+    // ?participant=<code> joins a facilitated session; ?facilitator opens the facilitator screen.
+    // Both need the facilitator server (facilitatorServer.mjs).
+    const PARTICIPANT_CODE = new URLSearchParams(location.search).get('participant');
+    const FACILITATOR_MODE = new URLSearchParams(location.search).has('facilitator');
+    const FACILITATOR_POLL_INTERVAL = 15000; // Milliseconds between roster refreshes
 
-    // Descriptions for verification step
-    const VERIFICATION_DESCRIPTIONS = {
-        'E': { title: "Extraversion (E)", text: "You direct your energy outwards towards people and things. You feel energized by interacting with others and prefer to be active and engaged in the world." },
-        'I': { title: "Introversion (I)", text: "You direct your energy inwards towards ideas and experiences. You feel energized by time spent alone and prefer to reflect before taking action." },
-        'S': { title: "Sensing (S)", text: "You prefer to take in information that is real and tangible. You focus on facts, details, and your own direct experience, trusting what is concrete and measurable." },
-        'N': { title: "Intuition (N)", text: "You prefer to take in information by seeing the big picture. You focus on patterns, connections, and future possibilities, trusting symbols and metaphors." },
-        'T': { title: "Thinking (T)", text: "You prefer to make decisions based on logic and objective analysis. You focus on cause-and-effect and strive for fairness and consistency." },
-        'F': { title: "Feeling (F)", text: "You prefer to make decisions based on personal values and the impact on people. You focus on harmony, empathy, and what is important to yourself and others." },
-        'J': { title: "Judging (J)", text: "You prefer to live in a planned, orderly way. You enjoy making decisions, having things settled, and organizing your world to achieve goals." },
-        'P': { title: "Perceiving (P)", text: "You prefer to live in a flexible, spontaneous way. You enjoy keeping your options open, staying curious, and adapting to new information as it comes." },
-    };
+    // Descriptions for verification step, from the locale bundle (instruments with custom scales add their own poles)
+    let VERIFICATION_DESCRIPTIONS = {};
+    // Everyday examples per pole for respondents who are not sure, from the locale bundle
+    let VERIFICATION_EXAMPLES = {};
+    // Profiles of the sixteen types for the final screen and the report (null until loaded, or if they fail to load)
+    let TYPE_PROFILES = null;
 
 
     // --- DOM ELEMENTS ---
@@ -34,41 +87,351 @@ document.addEventListener('DOMContentLoaded', () => {
         welcome: document.getElementById('welcome-screen'),
         preferenceSkill: document.getElementById('preference-skill-screen'),
         quiz: document.getElementById('quiz-screen'),
+        review: document.getElementById('review-screen'),
         results: document.getElementById('results-screen'),
         verification: document.getElementById('verification-screen'),
-        final: document.getElementById('final-screen')
+        final: document.getElementById('final-screen'),
+        team: document.getElementById('team-screen'),
+        compare: document.getElementById('compare-screen'),
+        pair: document.getElementById('pair-screen'),
+        facilitator: document.getElementById('facilitator-screen')
     };
 
     const startBtn = document.getElementById('start-btn');
+    const instrumentPicker = document.getElementById('instrument-picker');
+    const instrumentSelect = document.getElementById('instrument-select');
+    const localeSelect = document.getElementById('locale-select');
+    const resumeBtn = document.getElementById('resume-btn');
+    const resumePanel = document.getElementById('resume-panel');
+    const resumeSummary = document.getElementById('resume-summary');
+    const importBtn = document.getElementById('import-btn');
+    const importInput = document.getElementById('import-input');
+    const importError = document.getElementById('import-error');
+    const adaptiveToggle = document.getElementById('adaptive-toggle');
     const continueToQuizBtn = document.getElementById('continue-to-quiz-btn');
+    const autoAdvanceToggle = document.getElementById('auto-advance-toggle');
     const prevBtn = document.getElementById('prev-btn');
     const skipBtn = document.getElementById('skip-btn');
     const verifyBtn = document.getElementById('verify-btn');
     const restartBtn = document.getElementById('restart-btn');
+    const downloadReportBtn = document.getElementById('download-report-btn');
+    const printReportBtn = document.getElementById('print-report-btn');
+    const exportJsonBtn = document.getElementById('export-json-btn');
+    const exportCsvBtn = document.getElementById('export-csv-btn');
+    const teamBtn = document.getElementById('team-btn');
+    const teamAddBtn = document.getElementById('team-add-btn');
+    const teamInput = document.getElementById('team-input');
+    const teamClearBtn = document.getElementById('team-clear-btn');
+    const teamBackBtn = document.getElementById('team-back-btn');
+    const compareBtn = document.getElementById('compare-btn');
+    const compareFinalBtn = document.getElementById('compare-final-btn');
+    const compareAddBtn = document.getElementById('compare-add-btn');
+    const compareInput = document.getElementById('compare-input');
+    const compareClearBtn = document.getElementById('compare-clear-btn');
+    const compareBackBtn = document.getElementById('compare-back-btn');
+    const pairBtn = document.getElementById('pair-btn');
+    const pairFinalBtn = document.getElementById('pair-final-btn');
+    const pairLoadBtns = document.querySelectorAll('.pair-load-btn');
+    const pairInputs = document.querySelectorAll('.pair-input');
+    const pairNameInputs = document.querySelectorAll('.pair-name');
+    const pairFileLabels = document.querySelectorAll('.pair-file');
+    const pairBackBtn = document.getElementById('pair-back-btn');
+    const joinForm = document.getElementById('join-form');
+    const joinCode = document.getElementById('join-code');
+    const showReportedBtn = document.getElementById('show-reported-btn');
+    const sessionSelect = document.getElementById('session-select');
+    const refreshSessionBtn = document.getElementById('refresh-session-btn');
+    const sessionLockToggle = document.getElementById('session-lock-toggle');
+    const addParticipantsInput = document.getElementById('add-participants-input');
+    const addParticipantsBtn = document.getElementById('add-participants-btn');
+    const rosterImportBtn = document.getElementById('roster-import-btn');
+    const rosterImportInput = document.getElementById('roster-import-input');
+    const rosterTeamBtn = document.getElementById('roster-team-btn');
+    const newSessionForm = document.getElementById('new-session-form');
+    const answerSkippedBtn = document.getElementById('answer-skipped-btn');
+    const submitAnswersBtn = document.getElementById('submit-answers-btn');
 
+    const progressContainer = document.getElementById('progress-container');
     const progressBar = document.getElementById('progress-bar');
+    const questionCounter = document.getElementById('question-counter');
+    const announcer = document.getElementById('announcer');
     const questionContainer = document.getElementById('question-container');
+    const reviewSummary = document.getElementById('review-summary');
+    const reviewFilters = document.getElementById('review-filters');
+    const reviewGrid = document.getElementById('review-grid');
     const omissionsWarning = document.getElementById('omissions-warning');
+    const validityWarning = document.getElementById('validity-warning');
     const resultsDisplay = document.getElementById('results-display');
+    const facetDisplay = document.getElementById('facet-display');
     const verificationOptions = document.getElementById('verification-options');
+    const verificationConfidence = document.getElementById('verification-confidence');
+    const verifyUnsureBtn = document.getElementById('verify-unsure-btn');
     const verificationTitle = document.getElementById('verification-title');
     const verificationInstruction = document.getElementById('verification-instruction');
-    const clarityText = document.getElementById('clarity-text');
+    const clarityNote = document.getElementById('clarity-note');
     const finalTypeDisplay = document.getElementById('final-type-display');
+    const typeDynamicsSection = document.getElementById('type-dynamics');
+    const functionHierarchyDisplay = document.getElementById('function-hierarchy');
+    const typeGroupingsDisplay = document.getElementById('type-groupings');
+    const typeProfileSection = document.getElementById('type-profile');
+    const typeProfileDisplay = document.getElementById('type-profile-sections');
+    const participantPanel = document.getElementById('participant-panel');
+    const participantSession = document.getElementById('participant-session');
+    const participantGreeting = document.getElementById('participant-greeting');
+    const participantInstructions = document.getElementById('participant-instructions');
+    const participantError = document.getElementById('participant-error');
+    const syncStatus = document.getElementById('sync-status');
+    const facilitatorError = document.getElementById('facilitator-error');
+    const sessionDetail = document.getElementById('session-detail');
+    const sessionTitle = document.getElementById('session-title');
+    const sessionSummary = document.getElementById('session-summary');
+    const sessionDetailInstructions = document.getElementById('session-detail-instructions');
+    const rosterDisplay = document.getElementById('roster');
+    const teamErrors = document.getElementById('team-errors');
+    const teamEmpty = document.getElementById('team-empty');
+    const teamDashboard = document.getElementById('team-dashboard');
+    const teamTypeTable = document.getElementById('team-type-table');
+    const teamDichotomies = document.getElementById('team-dichotomies');
+    const teamMembersDisplay = document.getElementById('team-members');
+    const teamSrttSection = document.getElementById('team-srtt-section');
+    const teamSrttLegend = document.getElementById('team-srtt-legend');
+    const teamSrtt = document.getElementById('team-srtt');
+    const compareErrors = document.getElementById('compare-errors');
+    const compareEmpty = document.getElementById('compare-empty');
+    const compareView = document.getElementById('compare-view');
+    const compareAdministrationsDisplay = document.getElementById('compare-administrations');
+    const compareChanges = document.getElementById('compare-changes');
+    const pairErrors = document.getElementById('pair-errors');
+    const pairEmpty = document.getElementById('pair-empty');
+    const pairView = document.getElementById('pair-view');
+    const pairTypesDisplay = document.getElementById('pair-types');
+    const pairDichotomiesDisplay = document.getElementById('pair-dichotomies');
 
     // --- INITIALIZATION ---
-    fetch('./questions.json')
-        .then(response => response.json())
-        .then(data => {
-            allQuestions = data.MBTI_Form_M;
-            userAnswers = new Array(allQuestions.length).fill(null);
-            startBtn.disabled = false;
+    // The locale comes from ?lang=<code>, else the saved preference, else the browser languages.
+    // The instrument comes from ?instrument=<id>, else from a saved session, else the registry default.
+    function loadInstrument(id) {
+        startBtn.disabled = true;
+        importBtn.disabled = true;
+        teamBtn.disabled = true;
+        compareBtn.disabled = true;
+        pairBtn.disabled = true;
+        resumePanel.style.display = 'none';
+        teamMembers = []; // Records only fit the instrument they were made with
+        comparedRecords = [];
+        pairedRecords = [null, null];
+
+        return Promise.resolve()
+            .then(() => {
+                instrument = getInstrument(id);
+                DICHOTOMY_ORDER = instrument.scales.map(scale => scale.id);
+                instrumentSelect.value = instrument.id;
+                return fetch(instrument.itemBank.url);
+            })
+            .then(response => response.json())
+            .then(data => {
+                itemBankData = data;
+                return localizeInstrument();
+            })
+            .then(() => {
+                return PARAMETERS_URL ? loadItemParameters(PARAMETERS_URL) : null;
+            })
+            .then(() => {
+                if (DEV_MODE && !PARAMETERS_URL) checkItemBank();
+                userAnswers = new Array(allQuestions.length).fill(null);
+                itemTelemetry = createTelemetry(allQuestions.length);
+                startBtn.disabled = false;
+                importBtn.disabled = false;
+                teamBtn.disabled = false;
+                compareBtn.disabled = false;
+                pairBtn.disabled = false;
+                offerResume();
+            })
+            .catch(showLoadError);
+    }
+
+    function showLoadError(error) {
+        console.error("Failed to load questions:", error);
+        document.querySelector('.container').innerHTML = t
+            ? t('welcome.loadError')
+            : "<h1>Error</h1><p>Could not load assessment questions. Please try again later.</p>";
+    }
+
+    // Item text and verification descriptions follow the locale; the scorer keeps using itemBankData,
+    // so every language is scored with the same items and parameters.
+    function localizeInstrument() {
+        const profiles = loadTypeProfiles(t.locale.code).catch(error => {
+            console.warn("Could not load the type profiles:", error);
+            return null;
+        });
+        return Promise.all([loadItemTranslation(instrument, t.locale.code), profiles]).then(([translation, library]) => {
+            allQuestions = localizeItems(getItems(instrument, itemBankData), translation);
+            VERIFICATION_DESCRIPTIONS = { ...t.bundle('descriptions'), ...instrument.poleDescriptions };
+            VERIFICATION_EXAMPLES = t.bundle('examples');
+            TYPE_PROFILES = library;
+        });
+    }
+
+    function applyTranslator(translator) {
+        t = translator;
+        localeSelect.value = t.locale.code;
+        translatePage(document, t);
+    }
+
+    // The picker sits on the welcome screen, so only the resume summary needs redrawing.
+    function changeLocale(code) {
+        saveLocalePreference(code);
+        return loadTranslator(code)
+            .then(translator => {
+                applyTranslator(translator);
+                return itemBankData ? localizeInstrument() : null; // Otherwise loadInstrument localizes it
+            })
+            .then(() => {
+                importError.style.display = 'none';
+                participantError.style.display = 'none';
+                showParticipant();
+                offerResume();
+            })
+            .catch(error => console.error("Failed to switch language:", error));
+    }
+
+    function loadItemParameters(url) {
+        return fetch(url)
+            .then(response => response.json())
+            .then(itemParameters => {
+                instrument = withItemParameters(instrument, itemParameters, 'local');
+                if (!checkItemBank()) {
+                    throw new Error(`The parameter matrix at ${url} does not fit the item bank.`);
+                }
+            });
+    }
+
+    // Logs item bank / parameter matrix inconsistencies (see itemBankValidator.js); returns whether they are consistent.
+    function checkItemBank() {
+        const { valid, issues } = validateItemBank(instrument, itemBankData);
+        issues.forEach(issue => {
+            const log = issue.severity === 'error' ? console.error : console.warn;
+            log(`[item bank] ${instrument.id} item ${issue.item}: [${issue.code}] ${issue.message}`);
+        });
+        if (!valid) {
+            console.error(`[item bank] ${instrument.id} failed validation; scores may be wrong. Run \`node validateItemBank.mjs\` for details.`);
+        }
+        return valid;
+    }
+
+    const instruments = listInstruments();
+    instrumentSelect.innerHTML = instruments.map(entry => `<option value="${entry.id}">${entry.name}</option>`).join('');
+    instrumentPicker.style.display = instruments.length > 1 ? 'block' : 'none';
+
+    localeSelect.innerHTML = LOCALES.map(locale => `<option value="${locale.code}" lang="${locale.code}">${locale.name}</option>`).join('');
+    const initialLocale = resolveLocale([
+        new URLSearchParams(location.search).get('lang'),
+        loadLocalePreference(),
+        ...(navigator.languages || [navigator.language])
+    ]);
+
+    const savedSession = loadSession();
+    loadTranslator(initialLocale)
+        .then(translator => {
+            applyTranslator(translator);
+            return PARTICIPANT_CODE ? joinSession(PARTICIPANT_CODE) : null;
+        })
+        .then(() => {
+            return loadInstrument(new URLSearchParams(location.search).get('instrument')
+                || (participant && participant.instrumentId)
+                || (savedSession && savedSession.instrumentId)
+                || DEFAULT_INSTRUMENT_ID);
+        })
+        .then(() => {
+            if (FACILITATOR_MODE) showFacilitator();
         })
-        .catch(error => {
-            console.error("Failed to load questions:", error);
-            document.querySelector('.container').innerHTML = "<h1>Error</h1><p>Could not load assessment questions. Please try again later.</p>";
+        .catch(showLoadError);
+
+
+    // --- SESSION PERSISTENCE ---
+    function persistSession() {
+        if (!PERSISTED_PHASES.includes(currentPhase)) return;
+
+        saveSession({
+            instrumentId: instrument.id,
+            phase: currentPhase,
+            adaptiveMode,
+            autoAdvance,
+            userAnswers,
+            itemTelemetry,
+            questionSequence,
+            sequencePosition,
+            currentQuestionIndex,
+            reviewQueue,
+            participant,
+            bestFitType,
+            currentVerificationIndex,
+            verificationLog,
+            startedAt,
+            completedAt
         });
-    startBtn.disabled = true;
+    }
+
+    function offerResume() {
+        const saved = loadSession();
+        // A session saved against a different item bank cannot be mapped back onto it.
+        if (!saved || !PERSISTED_PHASES.includes(saved.phase) || saved.instrumentId !== instrument.id || saved.userAnswers.length !== allQuestions.length) {
+            return;
+        }
+        // Someone who joined a facilitated session only resumes their own answers.
+        if (participant && (!saved.participant || saved.participant.code !== participant.code)) {
+            resumePanel.style.display = 'none';
+            return;
+        }
+
+        const answeredCount = saved.userAnswers.filter(answer => answer !== null).length;
+        const savedAt = new Date(saved.savedAt).toLocaleString(t.locale.code);
+        resumeSummary.textContent = ['quiz', 'review'].includes(saved.phase)
+            ? t('welcome.resumeUnfinished', { date: savedAt, count: answeredCount })
+            : t('welcome.resumeFinished', { date: savedAt });
+        resumePanel.style.display = 'block';
+        resumeBtn.onclick = () => resumeSession(saved);
+    }
+
+    function resumeSession(saved) {
+        adaptiveMode = saved.adaptiveMode;
+        autoAdvance = saved.autoAdvance;
+        autoAdvanceToggle.checked = autoAdvance;
+        userAnswers = saved.userAnswers;
+        itemTelemetry = saved.itemTelemetry;
+        questionSequence = saved.questionSequence;
+        sequencePosition = saved.sequencePosition;
+        currentQuestionIndex = saved.currentQuestionIndex;
+        reviewQueue = saved.reviewQueue;
+        participant = participant || saved.participant;
+        bestFitType = saved.bestFitType;
+        currentVerificationIndex = saved.currentVerificationIndex;
+        verificationLog = saved.verificationLog;
+        startedAt = saved.startedAt || null;
+        completedAt = saved.completedAt || null;
+
+        switch (saved.phase) {
+            case 'quiz':
+                showQuestion();
+                switchScreen(screens.quiz);
+                break;
+            case 'review':
+                showReview();
+                break;
+            case 'results':
+                showResults();
+                break;
+            case 'verification':
+                scoreAnswers();
+                displayVerificationStep();
+                switchScreen(screens.verification);
+                break;
+            case 'final':
+                scoreAnswers();
+                showFinalResults();
+                break;
+        }
+    }
 
 
     // --- FLOW CONTROL ---
@@ -77,6 +440,29 @@ document.addEventListener('DOMContentLoaded', () => {
             screens[screen].classList.remove('active');
         }
         activeScreen.classList.add('active');
+
+        currentPhase = Object.keys(screens).find(key => screens[key] === activeScreen);
+        persistSession();
+        focusScreen(activeScreen);
+    }
+
+    // Keyboard and screen-reader users continue from the top of the new screen: the answers on
+    // the quiz, otherwise the screen's heading.
+    function focusScreen(screen) {
+        if (screen === screens.quiz) {
+            focusQuestion();
+            return;
+        }
+        const heading = screen.querySelector('h1, h2');
+        if (heading) {
+            heading.tabIndex = -1;
+            heading.focus();
+        }
+    }
+
+    // Polite announcements for screen readers (see #announcer in index.html).
+    function announce(message) {
+        announcer.textContent = message;
     }
 
     function startPreferenceExplanation() {
@@ -84,41 +470,122 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function startQuiz() {
-        currentQuestionIndex = 0;
+        adaptiveMode = adaptiveToggle.checked;
+        autoAdvance = autoAdvanceToggle.checked;
+        sequencePosition = 0;
+        reviewQueue = null;
+        startedAt = new Date().toISOString();
+        completedAt = null;
+
+        if (adaptiveMode) {
+            // The adaptive run grows its sequence one most-informative item at a time.
+            questionSequence = [selectNextItem({}, [], itemBankData, { ...ADAPTIVE_CONFIG, instrument }).questionIndex];
+        } else {
+            questionSequence = allQuestions.map((question, index) => index);
+        }
+
+        currentQuestionIndex = questionSequence[0];
         showQuestion();
         switchScreen(screens.quiz);
+        reportProgress('started');
+    }
+
+    function buildAnswersForScorer() {
+        const answersForScorer = {};
+        userAnswers.forEach((answer, index) => {
+            if (answer) {
+                answersForScorer[index + 1] = { ...answer, telemetry: itemTelemetry[index] };
+            }
+        });
+        return answersForScorer;
+    }
+
+    // Only questions actually served can be omitted; in adaptive mode the rest of the item bank was never shown.
+    function countOmissions() {
+        return questionSequence.filter(index => userAnswers[index] === null).length;
+    }
+
+    function markCompleted() {
+        if (!completedAt) {
+            completedAt = new Date().toISOString();
+        }
+    }
+
+    // In a session with locked results, participants choose their best-fit type before they
+    // see the reported one, so that it does not sway their choice.
+    function resultsLocked() {
+        return Boolean(participant && participant.lockResults);
+    }
+
+    function verificationDone() {
+        return DICHOTOMY_ORDER.every(key => bestFitType[key]);
+    }
+
+    function submitAnswers() {
+        if (!resultsLocked()) {
+            showResults();
+            return;
+        }
+        markCompleted();
+        scoreAnswers();
+        startVerification();
+        reportProgress('answered');
     }
 
     function showResults() {
+        markCompleted();
+
         // Omission feedback logic
-        const omissionsCount = userAnswers.filter(a => a === null).length;
+        const omissionsCount = countOmissions();
         if (omissionsCount > OMISSION_THRESHOLD) {
-            omissionsWarning.innerHTML = `<strong>Note on Accuracy:</strong> You skipped ${omissionsCount} questions. While this is acceptable, a high number of omissions can sometimes affect the clarity of your results.`;
+            omissionsWarning.innerHTML = t('results.omissions', { count: omissionsCount });
             omissionsWarning.style.display = 'block';
         } else {
             omissionsWarning.style.display = 'none';
         }
 
-        const answersForScorer = {};
-        userAnswers.forEach((answer, index) => {
-            if (answer) {
-                answersForScorer[index + 1] = answer;
-            }
-        });
+        scoreAnswers();
+        displayValidity(validityResults);
+        displayResults(reportedType);
+        displayFacetResults(facetResults);
+        verifyBtn.textContent = resultsLocked() && verificationDone() ? t('results.backToBestFit') : t('results.verify');
+        switchScreen(screens.results);
+        reportProgress(verificationDone() ? 'verified' : 'answered');
+    }
+
+    // After locked results, the results screen leads back to the best-fit type instead of a new verification.
+    function handleVerifyButton() {
+        if (resultsLocked() && verificationDone()) {
+            showFinalResults();
+        } else {
+            startVerification();
+        }
+    }
+
+    function scoreAnswers() {
+        const answersForScorer = buildAnswersForScorer();
 
         // Call the scorer. The returned object now directly contains `dichotomyResults`.
-        const { dichotomyResults } = calculateResults(answersForScorer, { MBTI_Form_M: allQuestions });
+        // An adaptive run is scored with the same estimator that drove its item selection.
+        const estimatorOption = adaptiveMode ? ADAPTIVE_CONFIG.estimator : SCORING_ESTIMATOR;
+        const { dichotomyResults, estimator } = calculateResults(answersForScorer, itemBankData, { estimator: estimatorOption, instrument });
         reportedType = dichotomyResults;
+        scoringEstimator = estimator;
 
-        console.log("Final Dichotomy Results:", reportedType); // For debugging
+        facetResults = calculateFacetResults(answersForScorer, itemBankData, { dichotomyResults, instrument }).facetResults;
 
-        displayResults(reportedType);
-        switchScreen(screens.results);
+        validityResults = assessValidity(answersForScorer, itemBankData, {
+            sequence: questionSequence.map(index => index + 1),
+            dichotomyResults,
+            responseTimes: responseTimesByNumber(itemTelemetry),
+            instrument
+        });
     }
 
     function startVerification() {
         currentVerificationIndex = 0;
         bestFitType = {};
+        verificationLog = createVerificationLog();
         displayVerificationDichotomy();
         switchScreen(screens.verification);
     }
@@ -126,19 +593,88 @@ document.addEventListener('DOMContentLoaded', () => {
     function showFinalResults() {
         const finalTypeCode = DICHOTOMY_ORDER.map(d => bestFitType[d]).join('');
         finalTypeDisplay.innerHTML = `<h3>${finalTypeCode}</h3>`;
+        displayTypeDynamics(finalTypeCode);
+        displayTypeProfile(finalTypeCode);
+        showReportedBtn.style.display = resultsLocked() ? 'inline-block' : 'none';
         switchScreen(screens.final);
+        reportProgress('verified');
+    }
+
+    // Function hierarchy, function pair and temperament (see typeDynamics.js); only Form M
+    // style codes have them.
+    function displayTypeDynamics(typeCode) {
+        typeDynamicsSection.style.display = isTypeCode(typeCode) ? 'block' : 'none';
+        if (!isTypeCode(typeCode)) return;
+
+        const dynamics = describeTypeDynamics(typeCode);
+        const rows = dynamics.hierarchy.map(entry => `
+            <tr>
+                <th scope="row">${t(`dynamics.roles.${entry.role}`)}</th>
+                <td><strong>${entry.code}</strong></td>
+                <td>${t(`dynamics.functions.${entry.code}`)}</td>
+            </tr>
+        `).join('');
+
+        functionHierarchyDisplay.innerHTML = `
+            <table class="data-table">
+                <thead><tr>
+                    <th scope="col">${t('dynamics.role')}</th>
+                    <th scope="col" colspan="2">${t('dynamics.function')}</th>
+                </tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        typeGroupingsDisplay.innerHTML = `
+            <p><strong>${t('dynamics.functionPair')}</strong> ${dynamics.functionPair}, ${t(`dynamics.functionPairs.${dynamics.functionPair}`)}</p>
+            <p><strong>${t('dynamics.temperament')}</strong> ${dynamics.temperament}, ${t(`dynamics.temperaments.${dynamics.temperament}`)}</p>
+        `;
+    }
+
+    function finalTypeProfile() {
+        const finalTypeCode = DICHOTOMY_ORDER.map(d => bestFitType[d]).join('');
+        return buildTypeProfile(TYPE_PROFILES, finalTypeCode, reportedType, DICHOTOMY_ORDER);
+    }
+
+    // The profile of the best-fit type (see typeProfiles.js). Points resting on a slight
+    // reported preference are marked, and each section with such points says which.
+    function displayTypeProfile(typeCode) {
+        const profile = buildTypeProfile(TYPE_PROFILES, typeCode, reportedType, DICHOTOMY_ORDER);
+        typeProfileSection.style.display = profile ? 'block' : 'none';
+        if (!profile) return;
+
+        typeProfileDisplay.innerHTML = profile.sections.map(section => {
+            const body = section.id === 'overview'
+                ? `<p>${escapeHtml(section.text)}</p>`
+                : `<ul>${section.items.map(item => `
+                    <li class="${item.caveats.length > 0 ? 'profile-slight' : ''}">${escapeHtml(item.text)}</li>
+                `).join('')}</ul>`;
+            const caveat = section.caveats.length === 0 ? '' : `
+                <p class="profile-caveat">${t(section.id === 'overview' ? 'profile.overviewCaveat' : 'profile.caveat', { preferences: section.caveats.map(dichotomyLabel).join(', ') })}</p>
+            `;
+            return `
+                <section class="profile-section">
+                    <h4>${t(`profile.sections.${section.id}`)}</h4>
+                    ${body}
+                    ${caveat}
+                </section>
+            `;
+        }).join('');
     }
 
     // --- QUIZ LOGIC ---
     function showQuestion() {
+        cancelAutoAdvance();
         const question = allQuestions[currentQuestionIndex];
-        let questionHTML = `<div class="question-text">${question.part === 'II' ? 'Which word in each pair appeals to you more?' : question.question}</div><div class="options-container">`;
+        let questionHTML = `
+            <div id="question-text" class="question-text">${question.part === 'II' ? t('quiz.wordPairPrompt') : question.question}</div>
+            <div class="options-container" role="radiogroup" aria-labelledby="question-text">
+        `;
 
         for (const key in question.options) {
             const option = question.options[key];
             questionHTML += `
                 <label class="option-label" for="option-${key}">
-                    <input type="radio" id="option-${key}" name="answer" value="${key}">
+                    <input type="radio" id="option-${key}" name="answer" value="${key}" aria-keyshortcuts="${key}">
                     <span class="radio-custom"></span>
                     <span>${option.text}</span>
                 </label>
@@ -146,40 +682,18 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         questionHTML += '</div>';
         questionContainer.innerHTML = questionHTML;
+        questionShownAt = Date.now();
 
-        // Auto-advance on selection (except for the very last question)
         document.querySelectorAll('input[name="answer"]').forEach(input => {
-            input.addEventListener('change', (e) => {
-                // First, visually update the selection
-                document.querySelectorAll('.option-label').forEach(label => label.classList.remove('selected'));
-                e.target.parentElement.classList.add('selected');
-
-                // Store the user's answer
-                userAnswers[currentQuestionIndex] = {
-                    questionIndex: currentQuestionIndex,
-                    choice: e.target.value
-                };
-
-                // Update the button text immediately after a selection is made
-                updateNavigationButtons();
-
-                // If it's not the last question, auto-advance after a short delay
-                if (currentQuestionIndex < allQuestions.length - 1) {
-                    setTimeout(() => advanceToNextQuestion(), 300);
-                }
-                // If it IS the last question, do NOT auto-advance. User must click "Finish Assessment" button.
-            });
+            input.addEventListener('change', (e) => recordAnswer(e.target.value));
 
-            // Handle clearing selection if user clicks the label of an already selected radio button
-            // This is crucial for enabling the "Skip and Finish Assessment" state on the last question
-            // after a selection was made.
+            // Clicking the label of the selected answer clears it, so that the last question can
+            // still be skipped after a selection was made.
             input.parentElement.addEventListener('click', (e) => {
                 const radio = e.currentTarget.querySelector('input[type="radio"]');
                 if (radio && radio.checked && e.target !== radio) { // Ensure click wasn't directly on the radio input itself
-                    radio.checked = false;
-                    radio.parentElement.classList.remove('selected');
-                    userAnswers[currentQuestionIndex] = null; // Mark as omitted
-                    updateNavigationButtons(); // Update button text back to "Skip and Finish" if on last question
+                    e.preventDefault(); // Otherwise the label's default action re-checks the radio and fires 'change'
+                    clearAnswer();
                 }
             });
         });
@@ -196,124 +710,1469 @@ document.addEventListener('DOMContentLoaded', () => {
 
         updateProgress();
         updateNavigationButtons(); // Ensure button text is correct on initial load of question
+        persistSession();
+        if (currentPhase === 'quiz') {
+            focusQuestion();
+        }
     }
 
+    function focusQuestion() {
+        const input = questionContainer.querySelector('input[name="answer"]:checked') || questionContainer.querySelector('input[name="answer"]');
+        if (input) {
+            input.focus();
+        }
+    }
+
+    // Records a selection made by pointer, radio arrow keys or a shortcut, and auto-advances
+    // unless that is switched off or this is the last question (which needs "Finish Assessment").
+    function recordAnswer(choice) {
+        document.querySelectorAll('.option-label').forEach(label => {
+            label.classList.toggle('selected', label.querySelector('input').value === choice);
+        });
+
+        // Record how long the first answer took, or that an earlier answer was changed
+        const telemetry = itemTelemetry[currentQuestionIndex];
+        if (telemetry.timeToFirstAnswer === null) {
+            telemetry.timeToFirstAnswer = Date.now() - questionShownAt;
+        } else {
+            telemetry.answerChanges++;
+        }
+
+        userAnswers[currentQuestionIndex] = {
+            questionIndex: currentQuestionIndex,
+            choice
+        };
+
+        updateNavigationButtons();
+        persistSession();
+
+        cancelAutoAdvance(); // A changed answer restarts the delay instead of advancing twice
+        if (autoAdvance && !isLastQuestion()) {
+            autoAdvanceTimer = setTimeout(() => {
+                autoAdvanceTimer = null;
+                advanceToNextQuestion();
+            }, AUTO_ADVANCE_DELAY);
+        }
+    }
+
+    function cancelAutoAdvance() {
+        if (autoAdvanceTimer !== null) {
+            clearTimeout(autoAdvanceTimer);
+            autoAdvanceTimer = null;
+        }
+    }
+
+    function chooseOption(key) {
+        const input = questionContainer.querySelector(`input[name="answer"][value="${key}"]`);
+        if (!input || input.checked) return;
+        input.checked = true;
+        input.focus();
+        recordAnswer(key);
+    }
+
+    // Moves the selection to the next (step 1) or previous (step -1) option, wrapping like a radio group.
+    function moveSelection(step) {
+        const inputs = [...questionContainer.querySelectorAll('input[name="answer"]')];
+        const current = inputs.findIndex(input => input.checked);
+        const next = current === -1
+            ? (step > 0 ? 0 : inputs.length - 1)
+            : (current + step + inputs.length) % inputs.length;
+        chooseOption(inputs[next].value);
+    }
+
+    function clearAnswer() {
+        const radio = questionContainer.querySelector('input[name="answer"]:checked');
+        if (!radio) return;
+
+        cancelAutoAdvance();
+        radio.checked = false;
+        radio.parentElement.classList.remove('selected');
+        userAnswers[currentQuestionIndex] = null; // Mark as omitted
+        itemTelemetry[currentQuestionIndex].answerChanges++;
+        updateNavigationButtons(); // Update button text back to "Skip and Finish" if on last question
+        persistSession();
+        announce(t('quiz.cleared'));
+    }
+
+    // Quiz shortcuts: A/B (or 1/2) answer, up/down arrows move between the answers, right arrow or
+    // Enter goes on once answered, left arrow or Backspace goes back, S skips, C or Delete clears.
+    function handleQuizKeydown(e) {
+        if (currentPhase !== 'quiz' || e.altKey || e.ctrlKey || e.metaKey) return;
+        if (e.target.closest('select, textarea, input:not([type="radio"]):not([type="checkbox"])')) return;
+
+        const question = allQuestions[currentQuestionIndex];
+        const optionKeys = Object.keys(question.options);
+        const key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+        const onButton = Boolean(e.target.closest('button'));
+
+        if (question.options[key]) {
+            chooseOption(key);
+        } else if (/^[1-9]$/.test(key) && optionKeys[Number(key) - 1]) {
+            chooseOption(optionKeys[Number(key) - 1]);
+        } else if (key === 'ArrowDown' || key === 'ArrowUp') {
+            moveSelection(key === 'ArrowDown' ? 1 : -1);
+        } else if (key === 'ArrowRight' || (key === 'Enter' && !onButton)) {
+            if (userAnswers[currentQuestionIndex] !== null) skipQuestion();
+        } else if (key === 'ArrowLeft' || key === 'Backspace') {
+            previousQuestion();
+        } else if (key === 'S' && !e.repeat) {
+            skipQuestion();
+        } else if (key === 'C' || key === 'Delete') {
+            clearAnswer();
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    // In adaptive mode the last question is only known in advance when the item cap is reached;
+    // otherwise the run ends as soon as the stopping rule is met after an answer.
+    // Questions revisited from the review screen lead back to it, so none of them is the last one.
+    function isLastQuestion() {
+        if (reviewQueue !== null) {
+            return false;
+        }
+        if (adaptiveMode) {
+            return questionSequence.length >= ADAPTIVE_CONFIG.maxItems && sequencePosition === questionSequence.length - 1;
+        }
+        return currentQuestionIndex === allQuestions.length - 1;
+    }
+
+    // Handles the Skip button, which reads "Next" once the question is answered.
     function skipQuestion() {
+        cancelAutoAdvance();
         // If it's the last question, pressing skip means finish the assessment
-        if (currentQuestionIndex === allQuestions.length - 1) {
+        if (isLastQuestion()) {
             // The answer for the current question is already null if not selected, or its selected value.
-            showResults();
+            if (userAnswers[currentQuestionIndex] === null) {
+                itemTelemetry[currentQuestionIndex].skipped = true;
+            }
+            showReview();
+        } else if (userAnswers[currentQuestionIndex] !== null) {
+            advanceToNextQuestion();
         } else {
             // For other questions, truly skip (mark as null) and advance
             userAnswers[currentQuestionIndex] = null;
+            itemTelemetry[currentQuestionIndex].skipped = true;
             advanceToNextQuestion();
         }
     }
 
     function advanceToNextQuestion() {
-        currentQuestionIndex++;
-        if (currentQuestionIndex < allQuestions.length) {
+        if (reviewQueue !== null) {
+            advanceInReview();
+            return;
+        }
+
+        sequencePosition++;
+
+        if (sequencePosition >= questionSequence.length && adaptiveMode) {
+            // Re-estimate theta and serve the most informative item, unless the stopping rule is met.
+            const next = selectNextItem(buildAnswersForScorer(), questionSequence, itemBankData, { ...ADAPTIVE_CONFIG, instrument });
+            if (next) {
+                questionSequence.push(next.questionIndex);
+            }
+        }
+
+        if (sequencePosition < questionSequence.length) {
+            currentQuestionIndex = questionSequence[sequencePosition];
             showQuestion();
         } else {
-            showResults();
+            showReview();
         }
     }
 
     function previousQuestion() {
-        if (currentQuestionIndex > 0) {
-            currentQuestionIndex--;
+        cancelAutoAdvance();
+        if (reviewQueue !== null) {
+            showReview(currentQuestionIndex);
+        } else if (sequencePosition > 0) {
+            sequencePosition--;
+            currentQuestionIndex = questionSequence[sequencePosition];
+            itemTelemetry[currentQuestionIndex].revisits++;
             showQuestion();
         }
     }
 
     function updateProgress() {
-        const progress = ((currentQuestionIndex + 1) / allQuestions.length) * 100;
+        const expectedLength = adaptiveMode ? ADAPTIVE_CONFIG.maxItems : allQuestions.length;
+        const progress = ((sequencePosition + 1) / expectedLength) * 100;
         progressBar.style.width = `${progress}%`;
+        progressContainer.setAttribute('aria-valuenow', Math.round(progress));
+
+        const counter = adaptiveMode
+            ? t('quiz.counterAdaptive', { number: sequencePosition + 1, max: ADAPTIVE_CONFIG.maxItems })
+            : t('quiz.counter', { number: sequencePosition + 1, total: allQuestions.length });
+        questionCounter.textContent = counter;
+        announce(counter);
     }
 
     function updateNavigationButtons() {
-        prevBtn.style.display = currentQuestionIndex === 0 ? 'none' : 'inline-block';
+        prevBtn.style.display = sequencePosition === 0 && reviewQueue === null ? 'none' : 'inline-block';
+        prevBtn.textContent = reviewQueue === null ? t('quiz.previous') : t('quiz.backToReview');
 
-        if (currentQuestionIndex === allQuestions.length - 1) {
+        if (isLastQuestion()) {
             // On the last question:
             if (userAnswers[currentQuestionIndex] !== null) {
-                skipBtn.textContent = 'Finish Assessment';
+                skipBtn.textContent = t('quiz.finish');
             } else {
-                skipBtn.textContent = 'Skip and Finish Assessment';
+                skipBtn.textContent = t('quiz.skipAndFinish');
             }
             skipBtn.classList.remove('btn-secondary'); // Ensure primary style if it was secondary from a prev page
             skipBtn.classList.add('btn-primary');
+        } else if (userAnswers[currentQuestionIndex] !== null) {
+            // Answered (and not yet auto-advanced, or auto-advance is off):
+            skipBtn.textContent = t('quiz.next');
+            skipBtn.classList.remove('btn-secondary');
+            skipBtn.classList.add('btn-primary');
         } else {
             // For all other questions:
-            skipBtn.textContent = 'Skip';
+            skipBtn.textContent = t('quiz.skip');
             skipBtn.classList.remove('btn-primary');
             skipBtn.classList.add('btn-secondary'); // Revert to secondary style for skip button
         }
     }
 
 
+    // --- REVIEW ---
+    // The review screen sits between the last question and the results. It lists every question
+    // served (the whole form, or the items an adaptive run chose) so that skipped ones can be found
+    // and answered before scoring. Questions opened from here lead back to it when done.
+    function showReview(focusIndex = null) {
+        cancelAutoAdvance();
+        reviewQueue = null;
+        renderReview();
+        switchScreen(screens.review);
+
+        const button = focusIndex === null ? null : reviewGrid.querySelector(`[data-index="${focusIndex}"]`);
+        if (button) {
+            button.focus();
+        }
+    }
+
+    function servedQuestionIndices() {
+        return [...new Set(questionSequence)].sort((a, b) => a - b);
+    }
+
+    function skippedInFilter() {
+        return servedQuestionIndices().filter(index => userAnswers[index] === null && (reviewFilter === 'all' || allQuestions[index].part === reviewFilter));
+    }
+
+    function renderReview() {
+        const served = servedQuestionIndices();
+
+        reviewSummary.innerHTML = DICHOTOMY_ORDER.map(key => {
+            const remaining = served.filter(index => allQuestions[index].dichotomy === key && userAnswers[index] === null).length;
+            const status = remaining === 0 ? t('review.remainingNone') : t('review.remaining', { count: remaining });
+            return `<li class="${remaining === 0 ? 'complete' : ''}"><strong>${dichotomyLabel(key)}:</strong> ${status}</li>`;
+        }).join('');
+
+        // Part filters, only for instruments whose items are split into parts
+        const parts = [...new Set(served.map(index => allQuestions[index].part).filter(Boolean))];
+        if (!parts.includes(reviewFilter)) {
+            reviewFilter = 'all';
+        }
+        reviewFilters.style.display = parts.length > 1 ? 'flex' : 'none';
+        reviewFilters.innerHTML = ['all', ...parts].map(part => `
+            <button class="btn review-filter" data-part="${part}" aria-pressed="${part === reviewFilter}">
+                ${part === 'all' ? t('review.allParts') : t('review.part', { part })}
+            </button>
+        `).join('');
+
+        reviewGrid.innerHTML = served
+            .filter(index => reviewFilter === 'all' || allQuestions[index].part === reviewFilter)
+            .map(index => {
+                const { number } = allQuestions[index];
+                const answer = userAnswers[index];
+                const label = answer
+                    ? t('review.itemAnswered', { number, choice: answer.choice })
+                    : t('review.itemSkipped', { number });
+                return `
+                    <li><button class="review-item ${answer ? 'answered' : 'skipped'}" data-index="${index}" aria-label="${label}" title="${label}">${number}</button></li>
+                `;
+            }).join('');
+
+        const skippedCount = skippedInFilter().length;
+        answerSkippedBtn.textContent = t('review.answerSkipped', { count: skippedCount });
+        answerSkippedBtn.disabled = skippedCount === 0;
+    }
+
+    function handleReviewFilter(e) {
+        const button = e.target.closest('.review-filter');
+        if (!button) return;
+        reviewFilter = button.dataset.part;
+        renderReview();
+        reviewFilters.querySelector(`[data-part="${reviewFilter}"]`).focus();
+    }
+
+    function handleReviewJump(e) {
+        const button = e.target.closest('.review-item');
+        if (!button) return;
+        openFromReview(Number(button.dataset.index), []);
+    }
+
+    // Goes through the skipped questions of the current filter one after another.
+    function answerSkipped() {
+        const [first, ...rest] = skippedInFilter();
+        if (first !== undefined) {
+            openFromReview(first, rest);
+        }
+    }
+
+    function openFromReview(index, queue) {
+        reviewQueue = queue;
+        currentQuestionIndex = index;
+        sequencePosition = questionSequence.indexOf(index);
+        itemTelemetry[index].revisits++;
+        showQuestion();
+        switchScreen(screens.quiz);
+    }
+
+    function advanceInReview() {
+        if (reviewQueue.length === 0) {
+            showReview(currentQuestionIndex);
+            return;
+        }
+        const [next, ...rest] = reviewQueue;
+        openFromReview(next, rest);
+    }
+
+
     // --- RESULTS & VERIFICATION DISPLAY ---
+    // Labels the bundle does not know (e.g. a custom instrument's clarity bands) are shown as they are.
+    function translateLabel(prefix, label) {
+        return t.has(`${prefix}.${label}`) ? t(`${prefix}.${label}`) : label;
+    }
+
+    // e.g. "Extraversion / Introversion", in the active locale
+    function dichotomyLabel(key) {
+        const [pole1, pole2] = key.split('-');
+        return `${VERIFICATION_DESCRIPTIONS[pole1].title.split(' ')[0]} / ${VERIFICATION_DESCRIPTIONS[pole2].title.split(' ')[0]}`;
+    }
+
+    function displayValidity(validity) {
+        const raised = validity.flags.filter(flag => flag.flagged);
+        if (raised.length === 0) {
+            validityWarning.style.display = 'none';
+            return;
+        }
+
+        // validity.js words its flags in English; the bundle rewords them from each flag's details.
+        const label = flag => (t.has(`validity.${flag.id}.label`) ? t(`validity.${flag.id}.label`) : flag.label);
+        const explain = flag => (t.has(`validity.${flag.id}.flagged`) ? t(`validity.${flag.id}.flagged`, flag.details) : flag.explanation);
+        validityWarning.innerHTML = `
+            ${t('results.validityIntro')}
+            <ul>${raised.map(flag => `<li><strong>${label(flag)}:</strong> ${explain(flag)}</li>`).join('')}</ul>
+        `;
+        validityWarning.style.display = 'block';
+    }
+
     function displayResults(results) {
         resultsDisplay.innerHTML = '';
         DICHOTOMY_ORDER.forEach(key => {
             const result = results[key];
             const [pole1, pole2] = result.dichotomyName.split('-');
-            const dichotomyName = `${VERIFICATION_DESCRIPTIONS[pole1].title.split(' ')[0]} / ${VERIFICATION_DESCRIPTIONS[pole2].title.split(' ')[0]}`;
 
             resultsDisplay.innerHTML += `
                 <div class="result-card">
                     <div class="letter">${result.preference}</div>
-                    <div class="clarity">${result.pcc}</div>
-                    <div class="dichotomy-name">${dichotomyName}</div>
+                    <div class="clarity">${translateLabel('clarity', result.pcc)}</div>
+                    <div class="dichotomy-name">${dichotomyLabel(key)}</div>
+                    ${buildRangeBar(result, pole1, pole2)}
                 </div>
             `;
         });
     }
 
+    // Renders theta on the instrument's [-thetaRange, thetaRange] scale with its 90% and 95% confidence bands.
+    // The positive pole (E, S, T, J) sits on the left, matching the order of the dichotomy name.
+    function buildRangeBar(result, pole1, pole2) {
+        if (!result.confidenceIntervals) {
+            return `<div class="range-caption">${t('results.noEstimate')}</div>`;
+        }
+
+        const { thetaRange } = instrument.clarity;
+        const toPercent = theta => {
+            const clamped = Math.max(-thetaRange, Math.min(thetaRange, theta));
+            return ((thetaRange - clamped) / (2 * thetaRange)) * 100;
+        };
+        const band = ([low, high], className) => {
+            const left = toPercent(high);
+            const width = toPercent(low) - left;
+            return `<div class="range-band ${className}" style="left: ${left}%; width: ${width}%;"></div>`;
+        };
+        const [low90, high90] = result.confidenceIntervals['90'];
+        const probability = Math.round(result.poleProbability * 100);
+        const interval = t('results.interval', { low: low90, high: high90 });
+
+        return `
+            <div class="range-bar" role="img" aria-label="${interval}" title="${interval}">
+                ${band(result.confidenceIntervals['95'], 'ci-95')}
+                ${band(result.confidenceIntervals['90'], 'ci-90')}
+                <div class="range-midpoint"></div>
+                <div class="range-marker" style="left: ${toPercent(result.theta)}%;"></div>
+            </div>
+            <div class="range-poles"><span>${pole1}</span><span>${pole2}</span></div>
+            <div class="range-caption">${t('results.likelyPole', { probability, pole: result.preference })}</div>
+        `;
+    }
+
+    // Facet scores run from -5 to +5; positive leans towards the first named facet pole.
+    function displayFacetResults(facets) {
+        const maxFacetScore = 5;
+        facetDisplay.innerHTML = '';
+
+        DICHOTOMY_ORDER.forEach(key => {
+            let rowsHTML = '';
+
+            Object.values(facets).filter(facet => facet.dichotomyName === key).forEach(facet => {
+                const [facetPole1, facetPole2] = facet.facet.split(' / ');
+                let barHTML = `<div class="facet-empty">${t('facets.notScored')}</div>`;
+
+                if (facet.score !== null) {
+                    const width = (Math.abs(facet.score) / maxFacetScore) * 50;
+                    const left = facet.score > 0 ? 50 - width : 50;
+                    const scoreText = t('facets.score', { score: `${facet.score > 0 ? '+' : ''}${facet.score}`, answered: facet.itemsAnswered, count: facet.itemCount });
+                    barHTML = `
+                        <div class="facet-bar" role="img" aria-label="${scoreText}" title="${scoreText}">
+                            <div class="facet-fill${facet.outOfPreference ? ' out-of-preference' : ''}" style="left: ${left}%; width: ${width}%;"></div>
+                            <div class="range-midpoint"></div>
+                        </div>
+                    `;
+                }
+
+                rowsHTML += `
+                    <div class="facet-row">
+                        <span class="facet-pole${facet.score > 1 ? ' leaning' : ''}">${translateLabel('facets.poles', facetPole1)}</span>
+                        ${barHTML}
+                        <span class="facet-pole${facet.score < -1 ? ' leaning' : ''}">${translateLabel('facets.poles', facetPole2)}</span>
+                        ${facet.outOfPreference ? `<span class="facet-flag" title="${t('facets.outOfPreferenceTitle', { pole: reportedType[key].preference })}">${t('facets.outOfPreference')}</span>` : ''}
+                    </div>
+                `;
+            });
+
+            facetDisplay.innerHTML += `
+                <div class="facet-group">
+                    <h3>${dichotomyLabel(key)}</h3>
+                    ${rowsHTML}
+                </div>
+            `;
+        });
+    }
+
+    function displayVerificationStep() {
+        if (currentVerificationIndex < DICHOTOMY_ORDER.length) {
+            displayVerificationDichotomy();
+        } else {
+            displayWholeTypeStage();
+        }
+    }
+
     function displayVerificationDichotomy() {
         const dichotomyKey = DICHOTOMY_ORDER[currentVerificationIndex];
         const [pole1, pole2] = dichotomyKey.split('-');
+        const step = verificationLog.steps[dichotomyKey];
+        const showExamples = Boolean(step && step.unsure);
+        const hasExamples = Boolean(VERIFICATION_EXAMPLES[pole1] && VERIFICATION_EXAMPLES[pole2]);
 
-        verificationTitle.textContent = `Verify: ${VERIFICATION_DESCRIPTIONS[pole1].title} vs. ${VERIFICATION_DESCRIPTIONS[pole2].title}`;
-        verificationInstruction.textContent = "Which of these two descriptions feels more like your natural, default way of being?";
-        clarityText.textContent = reportedType[dichotomyKey].pcc.toLowerCase();
+        verificationTitle.textContent = t('verification.title', { first: VERIFICATION_DESCRIPTIONS[pole1].title, second: VERIFICATION_DESCRIPTIONS[pole2].title });
+        verificationInstruction.textContent = t(showExamples ? 'verification.examplesInstruction' : 'verification.instruction');
+        clarityNote.innerHTML = t('verification.clarityNote', {
+            clarity: translateLabel('clarity', reportedType[dichotomyKey].pcc).toLocaleLowerCase(t.locale.code)
+        });
+        clarityNote.style.display = resultsLocked() ? 'none' : 'block'; // The note gives the reported clarity away
+        resetConfidence();
 
         verificationOptions.innerHTML = '';
         [pole1, pole2].forEach(pole => {
             const info = VERIFICATION_DESCRIPTIONS[pole];
+            const examples = showExamples ? `
+                <h4>${t('verification.examplesHeading')}</h4>
+                <ul class="verification-examples">${Object.values(VERIFICATION_EXAMPLES[pole]).map(example => `<li>${example}</li>`).join('')}</ul>
+            ` : '';
             verificationOptions.innerHTML += `
-                <div class="verification-card">
-                    <h3>${info.title}</h3>
-                    <p>${info.text}</p>
-                    <button class="btn btn-secondary verify-choice-btn" data-choice="${pole}">This is me</button>
-                </div>
+                <section class="verification-card" aria-labelledby="verify-title-${pole}">
+                    <h3 id="verify-title-${pole}">${info.title}</h3>
+                    <p id="verify-text-${pole}">${info.text}</p>
+                    ${examples}
+                    <button class="btn btn-secondary verify-choice-btn" data-choice="${pole}" aria-describedby="verify-title-${pole}">${t('verification.choose')}</button>
+                </section>
             `;
         });
 
         document.querySelectorAll('.verify-choice-btn').forEach(button => {
             button.addEventListener('click', handleVerificationChoice);
         });
+        verifyUnsureBtn.style.display = hasExamples && !showExamples ? 'inline-block' : 'none';
+
+        announce(t('verification.step', { number: currentVerificationIndex + 1, total: DICHOTOMY_ORDER.length }));
+        if (currentPhase === 'verification') {
+            focusScreen(screens.verification); // The next pair replaces the one that had focus
+        }
+    }
+
+    function resetConfidence() {
+        verificationConfidence.querySelectorAll('input').forEach(input => {
+            input.checked = false;
+        });
+    }
+
+    function selectedConfidence() {
+        const checked = verificationConfidence.querySelector('input:checked');
+        return checked ? checked.value : null;
+    }
+
+    // "I'm not sure": the same pair again, with everyday examples of both poles.
+    function handleVerificationUnsure() {
+        const dichotomyKey = DICHOTOMY_ORDER[currentVerificationIndex];
+        verificationLog = {
+            ...verificationLog,
+            steps: { ...verificationLog.steps, [dichotomyKey]: { unsure: true } }
+        };
+        displayVerificationDichotomy();
+        persistSession();
+        announce(t('verification.examplesShown'));
     }
 
     function handleVerificationChoice(e) {
         const choice = e.target.dataset.choice;
         const dichotomyKey = DICHOTOMY_ORDER[currentVerificationIndex];
+        const step = verificationLog.steps[dichotomyKey];
         bestFitType[dichotomyKey] = choice;
+        verificationLog = recordStep(verificationLog, dichotomyKey, {
+            pole: choice,
+            reported: reportedType[dichotomyKey].preference,
+            unsure: Boolean(step && step.unsure),
+            confidence: selectedConfidence()
+        });
 
         currentVerificationIndex++;
         if (currentVerificationIndex < DICHOTOMY_ORDER.length) {
             displayVerificationDichotomy();
+            persistSession();
+        } else if (hasWholeTypeStage()) {
+            displayWholeTypeStage();
+            persistSession();
         } else {
             showFinalResults();
         }
     }
 
+    function reportedTypeCode() {
+        return DICHOTOMY_ORDER.map(key => reportedType[key].preference).join('');
+    }
+
+    // Whole-type summaries exist for the sixteen Form M types only.
+    function hasWholeTypeStage() {
+        return isTypeCode(reportedTypeCode()) && t.has(`typeSummaries.${reportedTypeCode()}`);
+    }
+
+    function wholeTypeStageCandidates() {
+        const preferenceType = DICHOTOMY_ORDER.map(key => verificationLog.steps[key].pole).join('');
+        return {
+            preferenceType,
+            candidates: wholeTypeCandidates(reportedTypeCode(), preferenceType, instrument, { hideReported: resultsLocked() })
+        };
+    }
+
+    function displayWholeTypeStage() {
+        const { preferenceType, candidates } = wholeTypeStageCandidates();
+
+        verificationTitle.textContent = t('verification.wholeTypeTitle');
+        verificationInstruction.textContent = t('verification.wholeTypeInstruction');
+        clarityNote.style.display = 'none';
+        verifyUnsureBtn.style.display = 'none';
+        resetConfidence();
+
+        verificationOptions.innerHTML = candidates.map(type => {
+            const badges = [
+                type === preferenceType ? t('verification.yourChoices') : null,
+                type === reportedTypeCode() && !resultsLocked() ? t('verification.reportedType') : null
+            ].filter(Boolean);
+            return `
+                <section class="verification-card${type === preferenceType ? ' current-choice' : ''}" aria-labelledby="verify-type-${type}">
+                    <h3 id="verify-type-${type}">${highlightChanges(preferenceType, type)}</h3>
+                    ${badges.map(badge => `<span class="type-badge">${badge}</span>`).join(' ')}
+                    <p>${t(`typeSummaries.${type}`)}</p>
+                    <button class="btn btn-secondary verify-type-btn" data-type="${type}" aria-describedby="verify-type-${type}">${t('verification.chooseType')}</button>
+                </section>
+            `;
+        }).join('');
+
+        document.querySelectorAll('.verify-type-btn').forEach(button => {
+            button.addEventListener('click', handleWholeTypeChoice);
+        });
+
+        announce(t('verification.wholeTypeStep'));
+        if (currentPhase === 'verification') {
+            focusScreen(screens.verification);
+        }
+    }
+
+    function handleWholeTypeChoice(e) {
+        const type = e.target.dataset.type;
+        const { preferenceType, candidates } = wholeTypeStageCandidates();
+        verificationLog = recordWholeType(verificationLog, {
+            candidates,
+            fromPreferences: preferenceType,
+            reported: reportedTypeCode(),
+            type,
+            confidence: selectedConfidence()
+        });
+        DICHOTOMY_ORDER.forEach((key, position) => {
+            bestFitType[key] = type[position];
+        });
+        showFinalResults();
+    }
+
+
+    // --- REPORT ---
+    function buildReport() {
+        return buildReportHtml({
+            reportedType,
+            bestFitType,
+            dichotomyOrder: DICHOTOMY_ORDER,
+            descriptions: VERIFICATION_DESCRIPTIONS,
+            omissionsCount: countOmissions(),
+            facetResults,
+            profile: finalTypeProfile(),
+            t,
+            locale: t.locale
+        });
+    }
+
+    function handleDownloadReport() {
+        const finalTypeCode = DICHOTOMY_ORDER.map(d => bestFitType[d]).join('');
+        const date = new Date().toISOString().slice(0, 10);
+        downloadReport(buildReport(), `mbti-report-${finalTypeCode}-${date}.html`);
+    }
+
+    function handlePrintReport() {
+        if (!printReport(buildReport())) {
+            // Pop-ups are blocked: fall back to printing the final screen itself.
+            window.print();
+        }
+    }
+
+
+    // --- EXPORT & IMPORT ---
+    function buildRecord() {
+        return buildResultRecord({
+            questions: allQuestions,
+            userAnswers,
+            questionSequence,
+            adaptiveMode,
+            dichotomyResults: reportedType,
+            estimator: scoringEstimator,
+            facetResults,
+            validity: validityResults,
+            telemetry: itemTelemetry,
+            bestFitType,
+            startedAt,
+            completedAt,
+            instrument,
+            locale: t.locale.code,
+            participant,
+            verification: verificationLog
+        });
+    }
+
+    function exportFileName(extension) {
+        const record = buildRecord();
+        const date = (record.timestamps.completedAt || record.timestamps.exportedAt).slice(0, 10);
+        return `mbti-record-${record.bestFitType || record.reportedType}-${date}.${extension}`;
+    }
+
+    function handleExportJson() {
+        downloadFile(JSON.stringify(buildRecord(), null, 2), exportFileName('json'), 'application/json');
+    }
+
+    function handleExportCsv() {
+        downloadFile(recordsToCsv([buildRecord()], allQuestions, instrument), exportFileName('csv'), 'text/csv');
+    }
+
+    // Restores an exported record's answers and best-fit choices, then re-scores and shows the results.
+    async function handleImport() {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+
+        importError.style.display = 'none';
+        try {
+            const [record] = parseResultFile(await readFileAsText(file), allQuestions, instrument);
+            if (!record) {
+                throw new Error(t('welcome.importEmpty'));
+            }
+            restoreRecord(record);
+            showResults();
+        } catch (error) {
+            console.error("Failed to import record:", error);
+            importError.textContent = t('welcome.importFailed', { file: file.name, message: error.message });
+            importError.style.display = 'block';
+        }
+    }
+
+    function restoreRecord(record) {
+        const indexByNumber = new Map(allQuestions.map((question, index) => [question.number, index]));
+
+        userAnswers = allQuestions.map((question, index) => {
+            const choice = record.responses[question.number];
+            return choice ? { questionIndex: index, choice } : null;
+        });
+        itemTelemetry = allQuestions.map(question => ({ ...createItemTelemetry(), ...(record.telemetry || {})[question.number] }));
+        questionSequence = record.administration.sequence.map(number => indexByNumber.get(number));
+        sequencePosition = questionSequence.length - 1;
+        currentQuestionIndex = questionSequence[sequencePosition];
+        adaptiveMode = record.administration.mode === 'adaptive';
+        bestFitType = { ...record.bestFit };
+        currentVerificationIndex = 0;
+        verificationLog = record.verification || createVerificationLog();
+        startedAt = record.timestamps.startedAt;
+        completedAt = record.timestamps.completedAt;
+        // A participant who answered offline imports their record under their start link;
+        // otherwise the record keeps the session it was made in.
+        participant = participant || record.administration.participant || null;
+    }
+
+
+    // --- TEAM DASHBOARD ---
+    // Summarises result files exported by several respondents (see teamSummary.js). The files
+    // never leave the browser and the dashboard is not saved with the session.
+    function showTeamDashboard(returnScreen = screens.welcome) {
+        teamReturnScreen = returnScreen;
+        renderTeam();
+        switchScreen(screens.team);
+    }
+
+    async function handleTeamImport() {
+        const files = [...teamInput.files];
+        teamInput.value = '';
+        const errors = [];
+
+        for (const file of files) {
+            try {
+                const records = parseResultFile(await readFileAsText(file), allQuestions, instrument);
+                if (records.length === 0) {
+                    throw new Error(t('welcome.importEmpty'));
+                }
+                const name = file.name.replace(/\.(json|csv)$/i, '');
+                records.forEach((record, index) => {
+                    teamMembers.push({ label: records.length > 1 ? `${name} (${index + 1})` : name, record });
+                });
+            } catch (error) {
+                console.error("Failed to import record:", error);
+                errors.push(t('welcome.importFailed', { file: file.name, message: error.message }));
+            }
+        }
+
+        teamErrors.innerHTML = errors.map(escapeHtml).join('<br>');
+        teamErrors.style.display = errors.length > 0 ? 'block' : 'none';
+        renderTeam();
+    }
+
+    function clearTeam() {
+        teamMembers = [];
+        teamErrors.style.display = 'none';
+        renderTeam();
+    }
+
+    function renderTeam() {
+        teamEmpty.style.display = teamMembers.length === 0 ? 'block' : 'none';
+        teamDashboard.style.display = teamMembers.length === 0 ? 'none' : 'block';
+        teamClearBtn.disabled = teamMembers.length === 0;
+        if (teamMembers.length === 0) return;
+
+        const summary = summarizeTeam(teamMembers, itemBankData, { instrument });
+        teamTypeTable.innerHTML = summary.typeTable ? buildTypeTable(summary.typeTable, type => {
+            const cell = summary.typeTable.cells[type];
+            return `
+                <div class="type-cell-count">${cell.count} <span>(${cell.percent}%)</span></div>
+                <div class="type-cell-members">${cell.members.map(escapeHtml).join(', ')}</div>
+            `;
+        }) : '';
+        displayTeamDichotomies(summary.dichotomies);
+        displayTeamMembers(summary.members);
+        displaySrtt(summary.srtt, summary.typeTable);
+    }
+
+    // 4 x 4 grid of whole types; `cellContent(type)` fills each cell below its type code.
+    function buildTypeTable(typeTable, cellContent) {
+        const rows = typeTable.rows.map(row => `
+            <tr>${row.map(type => `<td><div class="type-cell-code">${type}</div>${cellContent(type)}</td>`).join('')}</tr>
+        `).join('');
+        return `<table class="type-table">${rows}</table>`;
+    }
+
+    function displayTeamDichotomies(dichotomies) {
+        const rows = dichotomies.map(dichotomy => dichotomy.poles.map((pole, index) => `
+            <tr${index === 0 ? ' class="group-start"' : ''}>
+                ${index === 0 ? `<th scope="rowgroup" rowspan="${dichotomy.poles.length}">${dichotomyLabel(dichotomy.id)}</th>` : ''}
+                <td>${pole.pole}</td>
+                <td>${pole.count}</td>
+                <td>${pole.percent}%</td>
+                <td>${pole.meanPci === null ? '&ndash;' : pole.meanPci}</td>
+            </tr>
+        `).join('')).join('');
+
+        teamDichotomies.innerHTML = `
+            <table class="data-table">
+                <thead><tr>
+                    <th scope="col">${t('team.dichotomy')}</th>
+                    <th scope="col">${t('team.pole')}</th>
+                    <th scope="col">${t('team.count')}</th>
+                    <th scope="col">%</th>
+                    <th scope="col">${t('team.meanPci')}</th>
+                </tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    function displayTeamMembers(members) {
+        const rows = members.map(member => `
+            <tr>
+                <td>${escapeHtml(member.label)}</td>
+                <td>${member.reportedType}</td>
+                <td>${member.verified ? highlightChanges(member.reportedType, member.bestFitType) : `<span class="muted">${t('team.notVerified')}</span>`}</td>
+            </tr>
+        `).join('');
+
+        teamMembersDisplay.innerHTML = `
+            <table class="data-table">
+                <thead><tr>
+                    <th scope="col">${t('team.member')}</th>
+                    <th scope="col">${t('team.reportedType')}</th>
+                    <th scope="col">${t('team.bestFitType')}</th>
+                </tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Marks the letters a member changed during verification.
+    function highlightChanges(reportedType, bestFitType) {
+        return [...bestFitType].map((letter, index) => (letter === reportedType[index] ? letter : `<mark>${letter}</mark>`)).join('');
+    }
+
+    function displaySrtt(srtt, typeTable) {
+        teamSrttSection.style.display = srtt ? 'block' : 'none';
+        if (!srtt) return;
+
+        teamSrttLegend.textContent = t('team.srttLegend', { source: srtt.source, sampleSize: srtt.sampleSize.toLocaleString(t.locale.code) });
+        const ratio = entry => `${entry.index === null ? '&ndash;' : entry.index.toFixed(2)}${entry.significance ? `<sup>${entry.significance}</sup>` : ''}`;
+
+        const poleRows = srtt.poles.map(entry => `
+            <tr>
+                <td>${entry.pole}</td>
+                <td>${entry.count}</td>
+                <td>${entry.percent}%</td>
+                <td>${entry.referencePercent}%</td>
+                <td>${ratio(entry)}</td>
+            </tr>
+        `).join('');
+
+        teamSrtt.innerHTML = `
+            ${buildTypeTable(typeTable, type => {
+                const entry = srtt.types[type];
+                return `
+                    <div class="type-cell-count">${entry.count} <span>(${entry.percent}%)</span></div>
+                    <div class="type-cell-ratio">I = ${ratio(entry)}</div>
+                `;
+            })}
+            <table class="data-table">
+                <thead><tr>
+                    <th scope="col">${t('team.pole')}</th>
+                    <th scope="col">${t('team.count')}</th>
+                    <th scope="col">%</th>
+                    <th scope="col">${t('team.referencePercent')}</th>
+                    <th scope="col">I</th>
+                </tr></thead>
+                <tbody>${poleRows}</tbody>
+            </table>
+            <p class="range-legend">${t('team.significanceLegend')}</p>
+        `;
+    }
+
+
+    // --- COMPARISON OVER TIME ---
+    // Sets repeated administrations of one respondent side by side (see longitudinal.js), from
+    // exported files and optionally the administration just finished. Like the team dashboard,
+    // nothing is uploaded or saved with the session.
+    function showComparison(returnScreen = screens.welcome, records = []) {
+        compareReturnScreen = returnScreen;
+        comparedRecords = records;
+        compareErrors.style.display = 'none';
+        renderComparison();
+        switchScreen(screens.compare);
+    }
+
+    async function handleCompareImport() {
+        const files = [...compareInput.files];
+        compareInput.value = '';
+        const errors = [];
+
+        for (const file of files) {
+            try {
+                const records = parseResultFile(await readFileAsText(file), allQuestions, instrument);
+                if (records.length === 0) {
+                    throw new Error(t('welcome.importEmpty'));
+                }
+                const name = file.name.replace(/\.(json|csv)$/i, '');
+                records.forEach((record, index) => {
+                    comparedRecords.push({ label: records.length > 1 ? `${name} (${index + 1})` : name, record });
+                });
+            } catch (error) {
+                console.error("Failed to import record:", error);
+                errors.push(t('welcome.importFailed', { file: file.name, message: error.message }));
+            }
+        }
+
+        compareErrors.innerHTML = errors.map(escapeHtml).join('<br>');
+        compareErrors.style.display = errors.length > 0 ? 'block' : 'none';
+        renderComparison();
+    }
+
+    function clearComparison() {
+        comparedRecords = [];
+        compareErrors.style.display = 'none';
+        renderComparison();
+    }
+
+    function renderComparison() {
+        const ready = comparedRecords.length >= 2;
+        compareEmpty.style.display = ready ? 'none' : 'block';
+        compareView.style.display = ready ? 'block' : 'none';
+        compareClearBtn.disabled = comparedRecords.length === 0;
+        if (!ready) return;
+
+        const comparison = compareAdministrations(comparedRecords, itemBankData, { instrument });
+        displayAdministrations(comparison.administrations);
+        compareChanges.innerHTML = comparison.changes.map(change => buildChange(change, comparison.administrations)).join('');
+    }
+
+    function administrationDate(administration) {
+        return administration.completedAt ? new Date(administration.completedAt).toLocaleDateString(t.locale.code) : '&ndash;';
+    }
+
+    function displayAdministrations(administrations) {
+        const rows = administrations.map(administration => `
+            <tr>
+                <td>${escapeHtml(administration.label)}</td>
+                <td>${administrationDate(administration)}</td>
+                <td>${administration.reportedType}</td>
+                <td>${administration.bestFitType ? highlightChanges(administration.reportedType, administration.bestFitType) : `<span class="muted">${t('team.notVerified')}</span>`}</td>
+                ${DICHOTOMY_ORDER.map(key => {
+                    const { preference, pci, theta, standardError } = administration.dichotomies[key];
+                    return `<td>${preference} ${pci} <span class="muted">(&theta; ${theta.toFixed(2)}${standardError === null ? '' : ` &plusmn; ${standardError.toFixed(2)}`})</span></td>`;
+                }).join('')}
+            </tr>
+        `).join('');
+
+        compareAdministrationsDisplay.innerHTML = `
+            <table class="data-table">
+                <thead><tr>
+                    <th scope="col">${t('compare.administration')}</th>
+                    <th scope="col">${t('compare.completed')}</th>
+                    <th scope="col">${t('team.reportedType')}</th>
+                    <th scope="col">${t('team.bestFitType')}</th>
+                    ${DICHOTOMY_ORDER.map(key => `<th scope="col">${dichotomyLabel(key)}</th>`).join('')}
+                </tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Changes with an explicit sign; `digits` as for toFixed.
+    function signed(value, digits) {
+        return `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+    }
+
+    function buildChange(change, administrations) {
+        const before = administrations[change.from];
+        const after = administrations[change.to];
+
+        const dichotomyRows = change.dichotomies.map(dichotomy => `
+            <tr>
+                <th scope="row">${dichotomyLabel(dichotomy.id)}</th>
+                <td>${dichotomy.from.preference} ${dichotomy.from.pci} &rarr; ${dichotomy.flipped ? `<mark>${dichotomy.to.preference}</mark>` : dichotomy.to.preference} ${dichotomy.to.pci}</td>
+                <td>${signed(dichotomy.thetaChange, 2)}</td>
+                <td>${dichotomy.reliableChangeIndex === null ? '&ndash;' : signed(dichotomy.reliableChangeIndex, 2)}</td>
+                <td>${dichotomy.reliableChangeIndex === null ? '&ndash;' : t(dichotomy.reliable ? 'compare.reliable' : 'compare.withinError')}</td>
+            </tr>
+        `).join('');
+
+        const { items } = change;
+        const itemRows = items.changed.map(item => {
+            const question = allQuestions.find(entry => entry.number === item.number);
+            const choice = side => `${question.options[side.choice].text}${side.pole ? ` (${side.pole})` : ''}`;
+            return `
+                <tr>
+                    <td>${item.number}</td>
+                    <td>${question.part === 'II' ? t('quiz.wordPairPrompt') : question.question}</td>
+                    <td>${choice(item.from)}</td>
+                    <td>${choice(item.to)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <h3>${escapeHtml(before.label)} (${administrationDate(before)}) &rarr; ${escapeHtml(after.label)} (${administrationDate(after)})</h3>
+            <div class="table-scroll">
+                <table class="data-table">
+                    <thead><tr>
+                        <th scope="col">${t('team.dichotomy')}</th>
+                        <th scope="col">${t('compare.preference')}</th>
+                        <th scope="col">&Delta;&theta;</th>
+                        <th scope="col">RCI</th>
+                        <th scope="col">${t('compare.change')}</th>
+                    </tr></thead>
+                    <tbody>${dichotomyRows}</tbody>
+                </table>
+            </div>
+            <p>${items.agreement === null ? t('compare.noCommonItems') : t('compare.agreement', { same: items.answeredInBoth - items.changed.length, total: items.answeredInBoth, percent: items.agreement })}
+               ${items.unmatched > 0 ? t('compare.unmatched', { count: items.unmatched }) : ''}</p>
+            ${items.changed.length === 0 ? '' : `
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr>
+                            <th scope="col">#</th>
+                            <th scope="col">${t('compare.question')}</th>
+                            <th scope="col">${t('compare.before')}</th>
+                            <th scope="col">${t('compare.after')}</th>
+                        </tr></thead>
+                        <tbody>${itemRows}</tbody>
+                    </table>
+                </div>
+            `}
+        `;
+    }
+
+
+    // --- PAIR COMPARISON ---
+    // Sets two people's results side by side for pair coaching (see pairComparison.js), with
+    // communication and conflict notes for every preference they do not share. Like the
+    // comparison over time, nothing is uploaded or saved with the session.
+    function showPairComparison(returnScreen = screens.welcome, first = null) {
+        pairReturnScreen = returnScreen;
+        pairedRecords = [first, null];
+        pairErrors.style.display = 'none';
+        renderPairComparison();
+        switchScreen(screens.pair);
+    }
+
+    async function handlePairImport(index) {
+        const file = pairInputs[index].files[0];
+        pairInputs[index].value = '';
+        if (!file) return;
+
+        try {
+            const records = parseResultFile(await readFileAsText(file), allQuestions, instrument);
+            if (records.length !== 1) {
+                throw new Error(records.length === 0 ? t('welcome.importEmpty') : t('pair.oneRecord', { count: records.length }));
+            }
+            pairedRecords[index] = { label: file.name.replace(/\.(json|csv)$/i, ''), record: records[0], file: file.name };
+            pairErrors.style.display = 'none';
+        } catch (error) {
+            console.error("Failed to import record:", error);
+            pairErrors.textContent = t('welcome.importFailed', { file: file.name, message: error.message });
+            pairErrors.style.display = 'block';
+        }
+        renderPairComparison();
+    }
+
+    function handlePairRename(index) {
+        if (!pairedRecords[index]) return;
+        pairedRecords[index].label = pairNameInputs[index].value.trim() || t(`pair.person${index + 1}`);
+        renderPairComparison({ keepNames: true });
+    }
+
+    function renderPairComparison({ keepNames = false } = {}) {
+        pairedRecords.forEach((person, index) => {
+            pairNameInputs[index].disabled = !person;
+            if (!keepNames) pairNameInputs[index].value = person ? person.label : '';
+            pairFileLabels[index].textContent = person ? (person.file || t('compare.current')) : t('pair.noFile');
+        });
+
+        const ready = pairedRecords.every(Boolean);
+        pairEmpty.style.display = ready ? 'none' : 'block';
+        pairView.style.display = ready ? 'block' : 'none';
+        if (!ready) return;
+
+        const comparison = comparePair(pairedRecords, itemBankData, { instrument });
+        const names = comparison.people.map(person => escapeHtml(person.label));
+
+        pairTypesDisplay.innerHTML = `
+            <table class="data-table">
+                <thead><tr>
+                    <th scope="col">${t('pair.name')}</th>
+                    <th scope="col">${t('pair.type')}</th>
+                    <th scope="col">${t('team.reportedType')}</th>
+                </tr></thead>
+                <tbody>${comparison.people.map((person, index) => `
+                    <tr>
+                        <td>${names[index]}</td>
+                        <td><strong>${person.type}</strong>${person.verified ? '' : ` <span class="muted">${t('pair.notVerified')}</span>`}</td>
+                        <td>${person.reportedType}</td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+        `;
+        pairDichotomiesDisplay.innerHTML = DICHOTOMY_ORDER
+            .map(key => buildPairDichotomy(comparison.dichotomies.find(dichotomy => dichotomy.id === key), names))
+            .join('');
+    }
+
+    function formatFacetScore(score) {
+        if (!score || score.score === null) return `<span class="muted">${t('facets.notScored')}</span>`;
+        if (score.score === 0) return '0';
+        return `${score.score > 0 ? '+' : ''}${score.score} ${translateLabel('facets.poles', score.pole)}`;
+    }
+
+    function buildPairDichotomy(dichotomy, names) {
+        const facetRows = dichotomy.facets.map(facet => `
+            <tr class="${facet.opposite ? 'pair-opposite' : ''}">
+                <th scope="row">${facet.facet.split(' / ').map(pole => translateLabel('facets.poles', pole)).join(' / ')}</th>
+                ${facet.people.map(score => `<td>${formatFacetScore(score)}</td>`).join('')}
+            </tr>
+        `).join('');
+
+        let notes;
+        if (dichotomy.shared) {
+            notes = `<p>${t('pair.sharedNote', { pole: VERIFICATION_DESCRIPTIONS[dichotomy.people[0].pole].title })}</p>`;
+        } else {
+            // Each pole letter names the person who prefers it, e.g. { E: 'Sam', I: 'Alex' }
+            const holders = Object.fromEntries(Object.entries(dichotomy.holders).map(([pole, index]) => [pole, names[index]]));
+            notes = ['communication', 'conflict']
+                .filter(kind => t.has(`pair.notes.${dichotomy.id}.${kind}`))
+                .map(kind => `<h4>${t(`pair.${kind}`)}</h4><p>${t(`pair.notes.${dichotomy.id}.${kind}`, holders)}</p>`)
+                .join('');
+        }
+
+        return `
+            <section class="pair-dichotomy ${dichotomy.shared ? 'shared' : 'opposite'}">
+                <h4>${dichotomyLabel(dichotomy.id)} <span class="status-badge ${dichotomy.shared ? 'verified' : 'answered'}">${t(dichotomy.shared ? 'pair.shared' : 'pair.opposite')}</span></h4>
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr>
+                            <th scope="col"></th>
+                            ${names.map(name => `<th scope="col">${name}</th>`).join('')}
+                        </tr></thead>
+                        <tbody>
+                            <tr>
+                                <th scope="row">${t('pair.preference')}</th>
+                                ${dichotomy.people.map(person => `<td><strong>${VERIFICATION_DESCRIPTIONS[person.pole].title}</strong></td>`).join('')}
+                            </tr>
+                            <tr>
+                                <th scope="row">${t('pair.pci')}</th>
+                                ${dichotomy.people.map(person => `<td>${person.pci} (${translateLabel('clarity', person.pcc)})</td>`).join('')}
+                            </tr>
+                            ${facetRows}
+                        </tbody>
+                    </table>
+                </div>
+                ${notes}
+            </section>
+        `;
+    }
+
+    // --- FACILITATED SESSIONS: PARTICIPANT ---
+    // A participant joins from their start link (?participant=<code>) or by typing the code.
+    // Their record is tagged with the session and each step is reported to the facilitator's
+    // server; when it cannot be reached, the participant exports their record instead.
+    function joinSession(code) {
+        participantError.style.display = 'none';
+        return getParticipant(code)
+            .then(info => {
+                participant = info;
+                showParticipant();
+            })
+            .catch(error => {
+                console.error("Failed to join the session:", error);
+                participantError.textContent = t('participant.joinFailed', { code, message: error.message });
+                participantError.style.display = 'block';
+            });
+    }
+
+    function showParticipant() {
+        participantPanel.style.display = participant ? 'block' : 'none';
+        joinForm.style.display = participant ? 'none' : 'flex';
+        if (!participant) return;
+
+        participantSession.textContent = t('participant.session', { session: participant.sessionName || participant.sessionId });
+        participantGreeting.textContent = participant.name
+            ? t('participant.greeting', { name: participant.name, code: participant.code })
+            : t('participant.code', { code: participant.code });
+        participantInstructions.textContent = participant.instructions || '';
+        participantInstructions.style.display = participant.instructions ? 'block' : 'none';
+    }
+
+    function handleJoin(e) {
+        e.preventDefault();
+        const code = joinCode.value.trim();
+        if (!code) return;
+        joinSession(code).then(() => {
+            if (participant && participant.instrumentId && participant.instrumentId !== instrument.id) {
+                return loadInstrument(participant.instrumentId);
+            }
+            offerResume();
+        });
+    }
+
+    function reportProgress(status) {
+        if (!participant) return Promise.resolve();
+
+        return syncParticipant(participant.code, status, status === 'started' ? null : buildRecord())
+            .then(info => {
+                participant = { ...participant, ...info };
+                syncStatus.textContent = t('participant.synced', { session: participant.sessionName || participant.sessionId });
+                syncStatus.classList.remove('warning');
+            })
+            .catch(error => {
+                console.error("Failed to report progress to the facilitator:", error);
+                syncStatus.textContent = t('participant.syncFailed');
+                syncStatus.classList.add('warning');
+            })
+            .finally(() => {
+                syncStatus.style.display = 'block';
+                persistSession();
+            });
+    }
+
+
+    // --- FACILITATED SESSIONS: FACILITATOR ---
+    // Sessions and rosters live on the facilitator server; this screen only shows and edits them.
+    function showFacilitator() {
+        switchScreen(screens.facilitator);
+        refreshFacilitator();
+        if (facilitatorPoll === null) {
+            facilitatorPoll = setInterval(() => {
+                if (currentPhase !== 'facilitator') {
+                    clearInterval(facilitatorPoll);
+                    facilitatorPoll = null;
+                } else if (facilitatorSession) {
+                    openFacilitatorSession(facilitatorSession.id);
+                }
+            }, FACILITATOR_POLL_INTERVAL);
+        }
+    }
+
+    function showFacilitatorError(error) {
+        console.error("Facilitator server request failed:", error);
+        facilitatorError.textContent = t('facilitator.serverError', { message: error.message });
+        facilitatorError.style.display = 'block';
+    }
+
+    // Reloads the session list, keeping the open session (or opening `selectId`, or the newest).
+    function refreshFacilitator(selectId = null) {
+        return listSessions()
+            .then(sessions => {
+                facilitatorError.style.display = 'none';
+                sessionSelect.innerHTML = sessions.map(session => `
+                    <option value="${escapeHtml(session.id)}">${escapeHtml(session.name)} (${escapeHtml(session.id)}, ${new Date(session.createdAt).toLocaleDateString(t.locale.code)})</option>
+                `).join('');
+                sessionSelect.disabled = sessions.length === 0;
+
+                const id = (typeof selectId === 'string' && selectId) || (facilitatorSession && facilitatorSession.id) || (sessions[0] && sessions[0].id);
+                if (!id) {
+                    facilitatorSession = null;
+                    sessionDetail.style.display = 'none';
+                    return null;
+                }
+                sessionSelect.value = id;
+                return openFacilitatorSession(id);
+            })
+            .catch(showFacilitatorError);
+    }
+
+    function openFacilitatorSession(id) {
+        return getSession(id)
+            .then(session => {
+                facilitatorSession = session;
+                renderFacilitatorSession();
+            })
+            .catch(showFacilitatorError);
+    }
+
+    function renderFacilitatorSession() {
+        const session = facilitatorSession;
+        const verified = session.participants.filter(entry => entry.status === 'verified').length;
+
+        sessionDetail.style.display = 'block';
+        sessionTitle.textContent = session.name;
+        sessionSummary.textContent = t('facilitator.summary', { id: session.id, count: session.participants.length, verified });
+        sessionDetailInstructions.textContent = session.instructions;
+        sessionDetailInstructions.style.display = session.instructions ? 'block' : 'none';
+        sessionLockToggle.checked = session.lockResults;
+        rosterTeamBtn.disabled = !session.participants.some(entry => entry.record);
+
+        const rows = session.participants.map(entry => `
+            <tr>
+                <td>${escapeHtml(entry.name) || '&ndash;'}</td>
+                <td><code>${entry.code}</code></td>
+                <td><button class="btn btn-secondary copy-link-btn" data-code="${entry.code}" title="${escapeHtml(participantLink(entry.code))}">${t('facilitator.copyLink')}</button></td>
+                <td><span class="status-badge ${entry.status}">${t(`facilitator.status.${entry.status}`)}</span></td>
+                <td>${entry.record ? escapeHtml(entry.record.reportedType) : '&ndash;'}</td>
+                <td>${entry.record && entry.record.bestFitType ? escapeHtml(entry.record.bestFitType) : '&ndash;'}</td>
+                <td>${new Date(entry.updatedAt).toLocaleString(t.locale.code)}</td>
+            </tr>
+        `).join('');
+
+        rosterDisplay.innerHTML = session.participants.length === 0 ? `<p class="muted">${t('facilitator.noParticipants')}</p>` : `
+            <table class="data-table">
+                <thead><tr>
+                    <th scope="col">${t('facilitator.participant')}</th>
+                    <th scope="col">${t('facilitator.code')}</th>
+                    <th scope="col">${t('facilitator.link')}</th>
+                    <th scope="col">${t('facilitator.statusHeading')}</th>
+                    <th scope="col">${t('team.reportedType')}</th>
+                    <th scope="col">${t('team.bestFitType')}</th>
+                    <th scope="col">${t('facilitator.updated')}</th>
+                </tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    function splitNames(text) {
+        return text.split('\n').map(name => name.trim()).filter(Boolean);
+    }
+
+    function handleCreateSession(e) {
+        e.preventDefault();
+        createSession({
+            name: document.getElementById('session-name-input').value,
+            instructions: document.getElementById('session-instructions-input').value,
+            participants: splitNames(document.getElementById('session-participants-input').value),
+            lockResults: document.getElementById('session-lock-input').checked,
+            instrumentId: instrument.id
+        })
+            .then(session => {
+                newSessionForm.reset();
+                announce(t('facilitator.created', { name: session.name }));
+                return refreshFacilitator(session.id);
+            })
+            .catch(showFacilitatorError);
+    }
+
+    function handleLockToggle() {
+        updateSession(facilitatorSession.id, { lockResults: sessionLockToggle.checked })
+            .then(session => {
+                facilitatorSession = session;
+                renderFacilitatorSession();
+            })
+            .catch(showFacilitatorError);
+    }
+
+    function handleAddParticipants() {
+        const names = splitNames(addParticipantsInput.value);
+        if (names.length === 0) return;
+        addParticipants(facilitatorSession.id, names)
+            .then(session => {
+                addParticipantsInput.value = '';
+                facilitatorSession = session;
+                renderFacilitatorSession();
+            })
+            .catch(showFacilitatorError);
+    }
+
+    function handleRosterClick(e) {
+        const button = e.target.closest('.copy-link-btn');
+        if (!button) return;
+        navigator.clipboard.writeText(participantLink(button.dataset.code))
+            .then(() => announce(t('facilitator.copied', { code: button.dataset.code })))
+            .catch(() => window.prompt(t('facilitator.copyPrompt'), participantLink(button.dataset.code)));
+    }
+
+    // Files exported by participants who answered offline; each record says whose it is.
+    async function handleRosterImport() {
+        const files = [...rosterImportInput.files];
+        rosterImportInput.value = '';
+        const errors = [];
+
+        for (const file of files) {
+            try {
+                const records = parseResultFile(await readFileAsText(file), allQuestions, instrument);
+                for (const record of records) {
+                    const tag = record.administration.participant;
+                    if (!tag) {
+                        throw new Error(t('facilitator.untagged'));
+                    }
+                    await syncParticipant(tag.code, record.bestFitType ? 'verified' : 'answered', record);
+                }
+            } catch (error) {
+                console.error("Failed to import record:", error);
+                errors.push(t('welcome.importFailed', { file: file.name, message: error.message }));
+            }
+        }
+
+        facilitatorError.innerHTML = errors.map(escapeHtml).join('<br>');
+        facilitatorError.style.display = errors.length > 0 ? 'block' : 'none';
+        openFacilitatorSession(facilitatorSession.id);
+    }
+
+    function openRosterInTeamDashboard() {
+        teamMembers = facilitatorSession.participants
+            .filter(entry => entry.record)
+            .map(entry => ({ label: entry.name || entry.code, record: entry.record }));
+        showTeamDashboard(screens.facilitator);
+    }
+
 
     // --- EVENT LISTENERS ---
     startBtn.addEventListener('click', startPreferenceExplanation);
     continueToQuizBtn.addEventListener('click', startQuiz);
     prevBtn.addEventListener('click', previousQuestion);
     skipBtn.addEventListener('click', skipQuestion);
-    verifyBtn.addEventListener('click', startVerification);
-    restartBtn.addEventListener('click', () => location.reload());
+    reviewFilters.addEventListener('click', handleReviewFilter);
+    reviewGrid.addEventListener('click', handleReviewJump);
+    answerSkippedBtn.addEventListener('click', answerSkipped);
+    submitAnswersBtn.addEventListener('click', submitAnswers);
+    verifyBtn.addEventListener('click', handleVerifyButton);
+    verifyUnsureBtn.addEventListener('click', handleVerificationUnsure);
+    showReportedBtn.addEventListener('click', showResults);
+    downloadReportBtn.addEventListener('click', handleDownloadReport);
+    printReportBtn.addEventListener('click', handlePrintReport);
+    exportJsonBtn.addEventListener('click', handleExportJson);
+    exportCsvBtn.addEventListener('click', handleExportCsv);
+    importBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', handleImport);
+    teamBtn.addEventListener('click', () => showTeamDashboard());
+    teamAddBtn.addEventListener('click', () => teamInput.click());
+    teamInput.addEventListener('change', handleTeamImport);
+    teamClearBtn.addEventListener('click', clearTeam);
+    teamBackBtn.addEventListener('click', () => switchScreen(teamReturnScreen));
+    compareBtn.addEventListener('click', () => showComparison());
+    compareFinalBtn.addEventListener('click', () => showComparison(screens.final, [{ label: t('compare.current'), record: buildRecord() }]));
+    compareAddBtn.addEventListener('click', () => compareInput.click());
+    compareInput.addEventListener('change', handleCompareImport);
+    compareClearBtn.addEventListener('click', clearComparison);
+    compareBackBtn.addEventListener('click', () => switchScreen(compareReturnScreen));
+    pairBtn.addEventListener('click', () => showPairComparison());
+    pairFinalBtn.addEventListener('click', () => showPairComparison(screens.final, { label: t('pair.you'), record: buildRecord() }));
+    pairLoadBtns.forEach(button => button.addEventListener('click', () => pairInputs[button.dataset.person].click()));
+    pairInputs.forEach(input => input.addEventListener('change', () => handlePairImport(Number(input.dataset.person))));
+    pairNameInputs.forEach(input => input.addEventListener('input', () => handlePairRename(Number(input.dataset.person))));
+    pairBackBtn.addEventListener('click', () => switchScreen(pairReturnScreen));
+    joinForm.addEventListener('submit', handleJoin);
+    sessionSelect.addEventListener('change', () => openFacilitatorSession(sessionSelect.value));
+    refreshSessionBtn.addEventListener('click', refreshFacilitator);
+    sessionLockToggle.addEventListener('change', handleLockToggle);
+    addParticipantsBtn.addEventListener('click', handleAddParticipants);
+    rosterDisplay.addEventListener('click', handleRosterClick);
+    rosterImportBtn.addEventListener('click', () => rosterImportInput.click());
+    rosterImportInput.addEventListener('change', handleRosterImport);
+    rosterTeamBtn.addEventListener('click', openRosterInTeamDashboard);
+    newSessionForm.addEventListener('submit', handleCreateSession);
+    instrumentSelect.addEventListener('change', () => loadInstrument(instrumentSelect.value));
+    localeSelect.addEventListener('change', () => changeLocale(localeSelect.value));
+    autoAdvanceToggle.addEventListener('change', () => {
+        autoAdvance = autoAdvanceToggle.checked;
+        if (!autoAdvance) cancelAutoAdvance();
+        persistSession();
+    });
+    document.addEventListener('keydown', handleQuizKeydown);
+    restartBtn.addEventListener('click', () => {
+        clearSession();
+        location.reload();
+    });
 });
\ No newline at end of file
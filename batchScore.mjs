@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * batchScore.mjs: Headless batch scoring of Form M answer sheets
+ *
+ * Scores respondents' A/B answers with the same engine (scorer.js) and item bank
+ * (questions.json for the default Form M instrument) as the browser flow, without
+ * clicking through the UI.
+ * Requires Node.js 20.19 or later (it loads the browser ES modules directly).
+ *
+ * Usage:
+ *     node batchScore.mjs <input files...> [--out results.csv|results.json]
+ *                         [--format csv|json] [--estimator MLE|MAP|EAP] [--instrument <id>]
+ *                         [--parameters <matrix.json>]
+ *
+ * Input files are CSV or JSON answer sheets, as described in respondentFiles.mjs.
+ * --parameters scores with a parameter matrix written by calibrateItems.mjs instead of
+ * the instrument's own.
+ *
+ * Output has one row per respondent with the reported type and, per dichotomy, the
+ * preference, PCI, PCC, theta and its standard error. It is written to --out (format
+ * taken from the extension unless --format is given) or as CSV to stdout.
+ *
+ * Malformed rows are reported on stderr as `<file>:<line>: <problem>` and skipped;
+ * the exit code is 1 if any input was malformed, 2 on usage errors.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { calculateResults, SUPPORTED_ESTIMATORS } from './scorer.js';
+import { getInstrument, getItems, withItemParameters, DEFAULT_INSTRUMENT_ID } from './instruments.js';
+import { validateItemBank } from './itemBankValidator.js';
+import { toCsv } from './csv.js';
+import { readRespondentFiles } from './respondentFiles.mjs';
+
+// Set by main() once the instrument is known.
+let instrument;
+let allQuestions;
+let questionsByNumber;
+
+function loadInstrument(id, parametersFile) {
+    instrument = getInstrument(id);
+    allQuestions = JSON.parse(fs.readFileSync(new URL(instrument.itemBank.url, import.meta.url), 'utf8'));
+    questionsByNumber = new Map(getItems(instrument, allQuestions).map(question => [question.number, question]));
+
+    if (parametersFile) {
+        const itemParameters = JSON.parse(fs.readFileSync(parametersFile, 'utf8'));
+        instrument = withItemParameters(instrument, itemParameters, path.basename(parametersFile, path.extname(parametersFile)));
+        const problem = validateItemBank(instrument, allQuestions).issues.find(issue => issue.severity === 'error');
+        if (problem) {
+            throw new Error(`${parametersFile} does not fit the item bank: ${problem.message}`);
+        }
+    }
+}
+
+function usage(message) {
+    if (message) console.error(`Error: ${message}\n`);
+    console.error('Usage: node batchScore.mjs <input files...> [--out results.csv|results.json] [--format csv|json] [--estimator MLE|MAP|EAP] [--instrument <id>] [--parameters <matrix.json>]');
+    process.exit(2);
+}
+
+function parseArgs(argv) {
+    const options = { inputs: [], out: null, format: null, estimator: 'MLE', instrument: DEFAULT_INSTRUMENT_ID, parameters: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (['--out', '--format', '--estimator', '--instrument', '--parameters'].includes(arg)) {
+            if (i + 1 >= argv.length) usage(`${arg} needs a value.`);
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            usage();
+        } else if (arg.startsWith('--')) {
+            usage(`Unknown option ${arg}.`);
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+
+    if (options.inputs.length === 0) usage('No input files given.');
+    if (!options.format) {
+        options.format = options.out && path.extname(options.out).toLowerCase() === '.json' ? 'json' : 'csv';
+    }
+    if (!['csv', 'json'].includes(options.format)) usage(`Unknown format "${options.format}".`);
+    options.estimator = options.estimator.toUpperCase();
+    if (!SUPPORTED_ESTIMATORS.includes(options.estimator)) usage(`Unknown estimator "${options.estimator}".`);
+
+    return options;
+}
+
+function scoreRespondent(respondent, estimator) {
+    const { dichotomyResults } = calculateResults(respondent.answers, allQuestions, { estimator, instrument });
+    const dichotomies = instrument.scales.map(scale => scale.id);
+    const row = {
+        id: respondent.id,
+        source: respondent.location,
+        answered: Object.keys(respondent.answers).length,
+        estimator,
+        reported_type: dichotomies.map(key => dichotomyResults[key].preference).join('')
+    };
+
+    for (const key of dichotomies) {
+        const result = dichotomyResults[key];
+        row[`${key}_preference`] = result.preference;
+        row[`${key}_pci`] = result.pci;
+        row[`${key}_pcc`] = result.pcc;
+        row[`${key}_theta`] = result.theta;
+        row[`${key}_se`] = result.standardError;
+    }
+
+    return row;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    try {
+        loadInstrument(options.instrument, options.parameters);
+    } catch (error) {
+        usage(error.message);
+    }
+
+    const rows = [];
+    let malformed = 0;
+
+    const report = (location, message) => {
+        malformed++;
+        console.error(`${location}: ${message}`);
+    };
+
+    for (const respondent of readRespondentFiles(options.inputs, questionsByNumber, report)) {
+        rows.push(scoreRespondent(respondent, options.estimator));
+    }
+
+    const output = options.format === 'json'
+        ? JSON.stringify(rows, null, 2) + '\n'
+        : toCsv(rows.length > 0 ? Object.keys(rows[0]) : ['id'], rows);
+
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+        console.error(`Scored ${rows.length} respondent(s) into ${options.out}${malformed ? `; ${malformed} malformed row(s) skipped` : ''}.`);
+    } else {
+        process.stdout.write(output);
+    }
+
+    process.exitCode = malformed > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,100 @@
+/**
+ * bestFit.js: The best-fit verification process and its log
+ *
+ * Verification turns the reported type into the respondent's best-fit type in two stages:
+ *
+ * 1.  **Preferences.** One dichotomy at a time, the respondent reads a description of each
+ *     pole and picks the one that fits. "I'm not sure" brings up everyday examples of both
+ *     poles before they choose. Each step records the pole, whether it overrides the
+ *     reported pole, whether the examples were needed and how sure the respondent is.
+ * 2.  **Whole type.** Types one letter apart can read very differently as a whole, so the
+ *     respondent then compares whole-type summaries: the reported type and its one-letter
+ *     neighbours, plus the type chosen in stage 1 when it is further away. In a session with
+ *     locked results (see facilitator.js) the comparison is centred on the stage 1 type
+ *     instead, so that it does not give the reported type away. The chosen type is the
+ *     best-fit type.
+ *
+ * The log, as stored in the result record (`verification`, see resultRecord.js):
+ *
+ *     {
+ *       "steps": {
+ *         "E-I": { "pole": "I", "reported": "E", "overrode": true, "unsure": true, "confidence": "low" }, ...
+ *       },
+ *       "wholeType": {                                  // null when the stage was not offered
+ *         "candidates": ["ENTJ", "INTJ", ...],
+ *         "fromPreferences": "INTJ",                    // type of the stage 1 choices
+ *         "type": "INTP",
+ *         "changed": true,                              // type !== fromPreferences
+ *         "overrode": true,                             // type !== reported type
+ *         "confidence": "moderate"
+ *       }
+ *     }
+ *
+ * Confidence is one of CONFIDENCE_LEVELS, or null when the respondent did not say.
+ */
+
+export const CONFIDENCE_LEVELS = ['low', 'moderate', 'high'];
+
+export function createVerificationLog() {
+    return { steps: {}, wholeType: null };
+}
+
+/**
+ * Records the pole chosen for a dichotomy. `unsure` is whether the respondent asked for examples.
+ */
+export function recordStep(log, dichotomy, { pole, reported, unsure = false, confidence = null }) {
+    return {
+        ...log,
+        steps: {
+            ...log.steps,
+            [dichotomy]: { pole, reported, overrode: pole !== reported, unsure, confidence }
+        }
+    };
+}
+
+/**
+ * Types that differ from `typeCode` in exactly one letter, in scale order.
+ *
+ * @param {string} typeCode - One pole letter per scale, e.g. "INTJ".
+ * @param {object} instrument - Definition from instruments.js, for the poles of each scale.
+ */
+export function neighbourTypes(typeCode, instrument) {
+    return instrument.scales.map((scale, position) => {
+        const letters = [...typeCode];
+        letters[position] = scale.poles.find(pole => pole !== letters[position]);
+        return letters.join('');
+    });
+}
+
+/**
+ * The whole types to compare in stage 2: the centre type first, then its neighbours, then the
+ * stage 1 type if it is not among them.
+ *
+ * @param {string} reportedType - The reported type code.
+ * @param {string} preferenceType - The type of the stage 1 choices.
+ * @param {object} instrument - Definition from instruments.js.
+ * @param {object} [options]
+ * @param {boolean} [options.hideReported=false] - Centre on `preferenceType` (locked results).
+ */
+export function wholeTypeCandidates(reportedType, preferenceType, instrument, options = {}) {
+    const centre = options.hideReported ? preferenceType : reportedType;
+    const candidates = [centre, ...neighbourTypes(centre, instrument)];
+    return candidates.includes(preferenceType) ? candidates : [...candidates, preferenceType];
+}
+
+/**
+ * Records the whole type chosen in stage 2.
+ */
+export function recordWholeType(log, { candidates, fromPreferences, reported, type, confidence = null }) {
+    return {
+        ...log,
+        wholeType: {
+            candidates,
+            fromPreferences,
+            type,
+            changed: type !== fromPreferences,
+            overrode: type !== reported,
+            confidence
+        }
+    };
+}
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * calibrateItems.mjs: Recalibrate the 2PL item parameters on collected responses
+ *
+ * Fits a and b for every item by marginal maximum likelihood with EM (see calibration.js)
+ * and writes a parameter matrix in the shape of itemParameterMatrix.js, so that scoring
+ * can use parameters that fit our own client base.
+ * Requires Node.js 20.19 or later (it loads the browser ES modules directly).
+ *
+ * Usage:
+ *     node calibrateItems.mjs <input files...> --out matrix.json|matrix.js
+ *                             [--report calibration.json] [--instrument <id>]
+ *
+ * Input files are CSV or JSON answer sheets, as described in respondentFiles.mjs; all
+ * files are pooled into one sample.
+ * - --out: the new matrix. A .json file can be used at runtime (`batchScore.mjs --parameters`,
+ *   or `?parameters=<url>` in the app); a .js file is a drop-in replacement for
+ *   itemParameterMatrix.js.
+ * - --report: JSON with standard errors and fit statistics per item, fit per dichotomy,
+ *   warnings, and the change of every item against the instrument's current matrix.
+ * A summary of the fit and the largest changes is printed to stderr.
+ *
+ * Malformed rows are reported on stderr as `<file>:<line>: <problem>` and left out of
+ * the sample; the exit code is 1 if any input was malformed or calibration failed,
+ * 2 on usage errors.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { getInstrument, getItems, DEFAULT_INSTRUMENT_ID } from './instruments.js';
+import { calibrateItems, compareParameterMatrices } from './calibration.js';
+import { readRespondentFiles } from './respondentFiles.mjs';
+
+const LARGEST_CHANGES_SHOWN = 5;
+
+function usage(message) {
+    if (message) console.error(`Error: ${message}\n`);
+    console.error('Usage: node calibrateItems.mjs <input files...> --out matrix.json|matrix.js [--report calibration.json] [--instrument <id>]');
+    process.exit(2);
+}
+
+function parseArgs(argv) {
+    const options = { inputs: [], out: null, report: null, instrument: DEFAULT_INSTRUMENT_ID };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (['--out', '--report', '--instrument'].includes(arg)) {
+            if (i + 1 >= argv.length) usage(`${arg} needs a value.`);
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            usage();
+        } else if (arg.startsWith('--')) {
+            usage(`Unknown option ${arg}.`);
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+
+    if (options.inputs.length === 0) usage('No input files given.');
+    if (!options.out) usage('--out is required.');
+    if (!['.json', '.js'].includes(path.extname(options.out).toLowerCase())) usage('--out must be a .json or .js file.');
+
+    return options;
+}
+
+function matrixModule(itemParameters, instrument, respondents) {
+    return `/**
+ * itemParameterMatrix.js
+ *
+ * 2-Parameter Logistic (2PL) IRT parameters for ${instrument.name}, recalibrated by
+ * calibrateItems.mjs (marginal maximum likelihood with EM, see calibration.js) on
+ * ${respondents} respondents, ${new Date().toISOString().slice(0, 10)}.
+ * Keyed by zero-based item index, like the original matrix.
+ */
+export const itemParameters = ${JSON.stringify(itemParameters, null, 4)};
+`;
+}
+
+function printSummary(result, comparison) {
+    for (const [id, scale] of Object.entries(result.scales)) {
+        const change = comparison.scales[id];
+        console.error(`${id}: ${scale.items} items, ${scale.respondents} respondents, ${scale.converged ? 'converged' : 'NOT converged'} after ${scale.iterations} iterations; ` +
+            `-2LL ${(-2 * scale.logLikelihood).toFixed(1)}, BIC ${scale.bic}; mean |change| a ${change.meanAbsChangeA}, b ${change.meanAbsChangeB}`);
+    }
+
+    const misfitting = result.items.filter(item => item.fit.p !== null && item.fit.p < 0.01);
+    if (misfitting.length > 0) {
+        console.error(`Items with Q1 p < .01: ${misfitting.map(item => item.number).join(', ')}`);
+    }
+
+    const largest = [...comparison.items]
+        .sort((x, y) => Math.abs(y.b.change) - Math.abs(x.b.change))
+        .slice(0, LARGEST_CHANGES_SHOWN);
+    console.error('Largest changes in b:');
+    largest.forEach(item => {
+        console.error(`  item ${item.number} (${item.dichotomy}): b ${item.b.reference} -> ${item.b.calibrated}, a ${item.a.reference} -> ${item.a.calibrated}`);
+    });
+
+    result.warnings.forEach(warning => console.error(`Warning: ${warning}`));
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    let instrument;
+    let allQuestions;
+    try {
+        instrument = getInstrument(options.instrument);
+        allQuestions = JSON.parse(fs.readFileSync(new URL(instrument.itemBank.url, import.meta.url), 'utf8'));
+    } catch (error) {
+        usage(error.message);
+    }
+    const questionsByNumber = new Map(getItems(instrument, allQuestions).map(question => [question.number, question]));
+
+    let malformed = 0;
+    const report = (location, message) => {
+        malformed++;
+        console.error(`${location}: ${message}`);
+    };
+
+    const respondents = readRespondentFiles(options.inputs, questionsByNumber, report);
+
+    let result;
+    try {
+        result = calibrateItems(respondents.map(respondent => respondent.answers), allQuestions, { instrument });
+    } catch (error) {
+        console.error(`Calibration failed: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+    const comparison = compareParameterMatrices(result.itemParameters, instrument.itemParameters);
+
+    fs.writeFileSync(options.out, path.extname(options.out).toLowerCase() === '.js'
+        ? matrixModule(result.itemParameters, instrument, result.respondents)
+        : JSON.stringify(result.itemParameters, null, 4) + '\n');
+
+    if (options.report) {
+        fs.writeFileSync(options.report, JSON.stringify({
+            instrumentId: instrument.id,
+            instrumentVersion: instrument.version,
+            calibratedAt: new Date().toISOString(),
+            respondents: result.respondents,
+            warnings: result.warnings,
+            scales: result.scales,
+            items: result.items,
+            comparison
+        }, null, 2) + '\n');
+    }
+
+    printSummary(result, comparison);
+    console.error(`Calibrated ${result.items.length} item(s) on ${result.respondents} respondent(s) into ${options.out}${malformed ? `; ${malformed} malformed row(s) skipped` : ''}.`);
+    process.exitCode = malformed > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,388 @@
+/**
+ * calibration.js: 2PL item parameter calibration from collected responses
+ *
+ * The shipped parameters (itemParameterMatrix.js) were derived from published factor
+ * loadings and a South African sample. `calibrateItems` re-estimates them from our own
+ * respondents so that scoring can use parameters that fit the population at hand.
+ *
+ * Method, run separately for each dichotomy (the scales are unidimensional):
+ * 1.  **Marginal maximum likelihood via EM** (Bock & Aitkin, 1981). Theta is integrated
+ *     out over a fixed N(0, 1) population distribution, which also sets the scale, using
+ *     rectangular quadrature on [-4, 4].
+ *     - E-step: each respondent's posterior over the quadrature points, given the current
+ *       parameters, yields expected counts n_jk (answered item j at point k) and r_jk
+ *       (of those, chose the first pole).
+ *     - M-step: each item's slope a and intercept c = -a * b are updated by Newton-Raphson
+ *       on sum_k [r_jk ln P_jk + (n_jk - r_jk) ln Q_jk].
+ *     Iteration stops when no parameter moves more than `tolerance`. Omitted answers are
+ *     left out of the likelihood (treated as missing at random). Estimates are kept within
+ *     `slopeBounds` and `difficultyBounds`; items that end on a bound are reported.
+ * 2.  **Standard errors** from the cross-product of the respondents' score vectors
+ *     (the empirical information matrix) at the final estimates, with the delta method
+ *     for b = -c / a.
+ * 3.  **Item fit:** A Q1-type statistic (Yen, 1981). For each item, respondents are split
+ *     into `fitGroups` equal groups by their EAP theta from the other items of the scale;
+ *     Q1 = sum_g N_g (O_g - E_g)^2 / (E_g (1 - E_g)) with df = groups - 2, where E_g averages
+ *     the expected response under that same rest-of-scale posterior. (Grouping on a theta
+ *     that includes the item itself, or plugging in the EAP point estimate, inflates Q1.)
+ *     Scale fit reports the marginal log-likelihood, AIC and BIC.
+ *
+ * `compareParameterMatrices` lists the change of every item against another matrix
+ * (normally the shipped one). The calibrated `itemParameters` have the same shape as
+ * itemParameterMatrix.js and can be passed to the scorer as `options.itemParameters`.
+ */
+
+import { getInstrument, getItems } from './instruments.js';
+import { invertMatrix, chiSquareSurvival } from './statistics.js';
+
+export const CALIBRATION_DEFAULTS = {
+    quadraturePoints: 41,
+    thetaBound: 4, // Quadrature on [-thetaBound, thetaBound]
+    maxIterations: 500,
+    tolerance: 1e-4,
+    slopeBounds: [0.05, 6],
+    difficultyBounds: [-6, 6],
+    fitGroups: 10,
+    minRecommendedSample: 500 // Below this, a warning is added to the result
+};
+
+function clamp(value, [low, high]) {
+    return Math.max(low, Math.min(high, value));
+}
+
+function logistic(z) {
+    return 1 / (1 + Math.exp(-z));
+}
+
+function round(value, digits = 4) {
+    return value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits));
+}
+
+function buildQuadrature(config) {
+    const points = [];
+    const weights = [];
+    const step = (2 * config.thetaBound) / (config.quadraturePoints - 1);
+    for (let k = 0; k < config.quadraturePoints; k++) {
+        const theta = -config.thetaBound + k * step;
+        points.push(theta);
+        weights.push(Math.exp(-0.5 * theta * theta));
+    }
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return { points, weights: weights.map(weight => weight / total) };
+}
+
+/**
+ * Posterior weights over the quadrature points for every respondent, and the
+ * marginal log-likelihood of the data.
+ */
+function eStep(responses, items, quadrature) {
+    const { points, weights } = quadrature;
+    const K = points.length;
+    const logP = items.map(item => points.map(theta => Math.log(logistic(item.a * theta + item.c))));
+    const logQ = items.map(item => points.map(theta => Math.log(1 - logistic(item.a * theta + item.c))));
+
+    let logLikelihood = 0;
+    const posteriors = responses.map(row => {
+        const logPost = weights.map(weight => Math.log(weight));
+        row.forEach((u, j) => {
+            if (u === null) return;
+            const table = u === 1 ? logP[j] : logQ[j];
+            for (let k = 0; k < K; k++) logPost[k] += table[k];
+        });
+        const max = Math.max(...logPost);
+        const post = logPost.map(value => Math.exp(value - max));
+        const total = post.reduce((sum, value) => sum + value, 0);
+        logLikelihood += max + Math.log(total);
+        return post.map(value => value / total);
+    });
+
+    return { posteriors, logLikelihood };
+}
+
+/**
+ * Newton-Raphson update of one item's slope and intercept on the expected counts.
+ */
+function mStepItem(item, n, r, points, config) {
+    let { a, c } = item;
+    for (let iteration = 0; iteration < 20; iteration++) {
+        let ga = 0, gc = 0, haa = 0, hac = 0, hcc = 0;
+        points.forEach((theta, k) => {
+            const P = logistic(a * theta + c);
+            const residual = r[k] - n[k] * P;
+            const weight = n[k] * P * (1 - P);
+            ga += residual * theta;
+            gc += residual;
+            haa += weight * theta * theta;
+            hac += weight * theta;
+            hcc += weight;
+        });
+        const determinant = haa * hcc - hac * hac;
+        if (determinant <= 1e-12) break;
+        const da = (hcc * ga - hac * gc) / determinant;
+        const dc = (haa * gc - hac * ga) / determinant;
+        a = clamp(a + da, config.slopeBounds);
+        // Keep b = -c / a within its bounds.
+        c = clamp(c + dc, [-a * config.difficultyBounds[1], -a * config.difficultyBounds[0]]);
+        if (Math.abs(da) < 1e-8 && Math.abs(dc) < 1e-8) break;
+    }
+    return { a, c };
+}
+
+/**
+ * Standard errors of (a, b) for all items of a scale from the empirical cross-product information.
+ */
+function standardErrors(responses, items, posteriors, points) {
+    const J = items.length;
+    const size = 2 * J;
+    const information = Array.from({ length: size }, () => new Array(size).fill(0));
+    const P = items.map(item => points.map(theta => logistic(item.a * theta + item.c)));
+
+    responses.forEach((row, i) => {
+        const score = new Array(size).fill(0);
+        const post = posteriors[i];
+        row.forEach((u, j) => {
+            if (u === null) return;
+            for (let k = 0; k < points.length; k++) {
+                const residual = post[k] * (u - P[j][k]);
+                score[2 * j] += residual * points[k];
+                score[2 * j + 1] += residual;
+            }
+        });
+        for (let x = 0; x < size; x++) {
+            if (score[x] === 0) continue;
+            for (let y = 0; y < size; y++) information[x][y] += score[x] * score[y];
+        }
+    });
+
+    const covariance = invertMatrix(information);
+    return items.map((item, j) => {
+        if (!covariance) return { a: null, b: null };
+        const varA = covariance[2 * j][2 * j];
+        const varC = covariance[2 * j + 1][2 * j + 1];
+        const covAC = covariance[2 * j][2 * j + 1];
+        // b = -c / a: db/da = c / a^2, db/dc = -1 / a.
+        const da = item.c / (item.a * item.a);
+        const dc = -1 / item.a;
+        const varB = da * da * varA + dc * dc * varC + 2 * da * dc * covAC;
+        return { a: varA > 0 ? Math.sqrt(varA) : null, b: varB > 0 ? Math.sqrt(varB) : null };
+    });
+}
+
+/**
+ * Q1 item fit for each item, based on the posterior from the rest of the scale.
+ */
+function itemFit(responses, items, posteriors, points, groups) {
+    return items.map((item, j) => {
+        const P = points.map(theta => logistic(item.a * theta + item.c));
+        const answered = responses
+            .map((row, i) => {
+                const u = row[j];
+                if (u === null) return null;
+                // Expected response under the posterior from the respondent's other items.
+                const rest = posteriors[i].map((weight, k) => weight / (u === 1 ? P[k] : 1 - P[k]));
+                const total = rest.reduce((sum, weight) => sum + weight, 0);
+                const expected = rest.reduce((sum, weight, k) => sum + weight * P[k], 0) / total;
+                const theta = rest.reduce((sum, weight, k) => sum + weight * points[k], 0) / total;
+                return { u, expected, theta };
+            })
+            .filter(entry => entry !== null)
+            .sort((x, y) => x.theta - y.theta);
+        const groupCount = Math.min(groups, Math.floor(answered.length / 5));
+        if (groupCount < 3) return { q1: null, df: null, p: null };
+
+        let q1 = 0;
+        for (let g = 0; g < groupCount; g++) {
+            const group = answered.slice(Math.floor((g * answered.length) / groupCount), Math.floor(((g + 1) * answered.length) / groupCount));
+            const observed = group.reduce((sum, entry) => sum + entry.u, 0) / group.length;
+            const expected = group.reduce((sum, entry) => sum + entry.expected, 0) / group.length;
+            q1 += (group.length * (observed - expected) ** 2) / (expected * (1 - expected));
+        }
+        const df = groupCount - 2;
+        return { q1, df, p: chiSquareSurvival(q1, df) };
+    });
+}
+
+function calibrateScale(responses, config) {
+    const quadrature = buildQuadrature(config);
+    const { points } = quadrature;
+    const J = responses.length ? responses[0].length : 0;
+
+    // Start at a = 1 and the difficulty implied by each item's endorsement rate.
+    let items = Array.from({ length: J }, (_, j) => {
+        const answered = responses.map(row => row[j]).filter(u => u !== null);
+        const rate = answered.length ? (answered.reduce((sum, u) => sum + u, 0) + 0.5) / (answered.length + 1) : 0.5;
+        return { a: 1, c: Math.log(rate / (1 - rate)) };
+    });
+
+    let iterations = 0;
+    let converged = false;
+    let estep = eStep(responses, items, quadrature);
+
+    while (iterations < config.maxIterations && !converged) {
+        iterations++;
+        const updated = items.map((item, j) => {
+            const n = new Array(points.length).fill(0);
+            const r = new Array(points.length).fill(0);
+            responses.forEach((row, i) => {
+                const u = row[j];
+                if (u === null) return;
+                const post = estep.posteriors[i];
+                for (let k = 0; k < points.length; k++) {
+                    n[k] += post[k];
+                    if (u === 1) r[k] += post[k];
+                }
+            });
+            return mStepItem(item, n, r, points, config);
+        });
+
+        const change = Math.max(...updated.map((item, j) => Math.max(
+            Math.abs(item.a - items[j].a),
+            Math.abs(-item.c / item.a - -items[j].c / items[j].a)
+        )));
+        items = updated;
+        estep = eStep(responses, items, quadrature);
+        converged = change < config.tolerance;
+    }
+
+    return {
+        items,
+        iterations,
+        converged,
+        logLikelihood: estep.logLikelihood,
+        errors: standardErrors(responses, items, estep.posteriors, points),
+        fit: itemFit(responses, items, estep.posteriors, points, config.fitGroups)
+    };
+}
+
+/**
+ * Calibrates 2PL parameters for every item of an instrument.
+ *
+ * @param {object[]} respondents - Answers per respondent in the scorer's input format
+ *   (`{ [questionNumber]: { choice: 'A' | 'B' } }`, omissions left out).
+ * @param {object} allQuestions - The parsed item bank file (e.g. questions.json).
+ * @param {object} [options]
+ * @param {object} [options.instrument] - Definition from instruments.js; defaults to Form M.
+ * @param {object} [options.config] - Overrides for CALIBRATION_DEFAULTS.
+ * @returns {{ itemParameters: object, items: object[], scales: object, respondents: number, warnings: string[] }}
+ *   `itemParameters` has the shape of itemParameterMatrix.js; `items` adds standard errors
+ *   and Q1 fit per item; `scales` holds iterations, convergence, log-likelihood, AIC and BIC.
+ */
+export function calibrateItems(respondents, allQuestions, options = {}) {
+    const instrument = options.instrument || getInstrument();
+    const config = { ...CALIBRATION_DEFAULTS, ...options.config };
+    const questions = getItems(instrument, allQuestions);
+    const warnings = [];
+
+    if (respondents.length < config.minRecommendedSample) {
+        warnings.push(`Only ${respondents.length} respondent(s); stable 2PL estimates usually need at least ${config.minRecommendedSample}.`);
+    }
+
+    const itemParameters = {};
+    const items = [];
+    const scales = {};
+
+    for (const scale of instrument.scales) {
+        const indices = questions
+            .map((question, index) => (question.dichotomy === scale.id ? index : -1))
+            .filter(index => index >= 0);
+        const responses = respondents
+            .map(answers => indices.map(index => {
+                const question = questions[index];
+                const answer = answers[question.number];
+                return answer ? question.options[answer.choice].scoreKey : null;
+            }))
+            .filter(row => row.some(u => u !== null));
+
+        if (responses.length < 2) {
+            throw new Error(`Not enough respondents answered ${scale.id} items to calibrate them.`);
+        }
+
+        const result = calibrateScale(responses, config);
+        const parameterCount = 2 * indices.length;
+        scales[scale.id] = {
+            items: indices.length,
+            respondents: responses.length,
+            iterations: result.iterations,
+            converged: result.converged,
+            logLikelihood: round(result.logLikelihood, 2),
+            aic: round(-2 * result.logLikelihood + 2 * parameterCount, 2),
+            bic: round(-2 * result.logLikelihood + parameterCount * Math.log(responses.length), 2)
+        };
+        if (!result.converged) {
+            warnings.push(`${scale.id} did not converge within ${config.maxIterations} EM iterations.`);
+        }
+
+        indices.forEach((index, j) => {
+            const { a, c } = result.items[j];
+            const b = -c / a;
+            const question = questions[index];
+            itemParameters[index] = { dichotomy: scale.id, params: { a: round(a), b: round(b) } };
+
+            const onBound = a <= config.slopeBounds[0] || a >= config.slopeBounds[1]
+                || b <= config.difficultyBounds[0] + 1e-6 || b >= config.difficultyBounds[1] - 1e-6;
+            if (onBound) {
+                warnings.push(`Item ${question.number} ended on a parameter bound (a = ${round(a, 2)}, b = ${round(b, 2)}); it may be answered almost uniformly.`);
+            }
+
+            items.push({
+                index,
+                number: question.number,
+                dichotomy: scale.id,
+                a: round(a),
+                b: round(b),
+                standardErrors: { a: round(result.errors[j].a), b: round(result.errors[j].b) },
+                fit: { q1: round(result.fit[j].q1, 2), df: result.fit[j].df, p: round(result.fit[j].p) },
+                onBound
+            });
+        });
+    }
+
+    items.sort((x, y) => x.index - y.index);
+    return { itemParameters, items, scales, respondents: respondents.length, warnings };
+}
+
+/**
+ * Lists per-item changes between two parameter matrices of the same shape.
+ *
+ * @param {object} calibrated - e.g. `calibrateItems(...).itemParameters`.
+ * @param {object} reference - e.g. the shipped `itemParameters`.
+ * @returns {{ items: object[], scales: object }} Per item the reference and calibrated a and b
+ *   with their differences; per dichotomy the mean absolute change and the correlation of b.
+ */
+export function compareParameterMatrices(calibrated, reference) {
+    const items = Object.keys(calibrated)
+        .filter(key => reference[key])
+        .map(key => {
+            const next = calibrated[key].params;
+            const previous = reference[key].params;
+            return {
+                index: Number(key),
+                number: Number(key) + 1,
+                dichotomy: calibrated[key].dichotomy,
+                a: { reference: previous.a, calibrated: next.a, change: round(next.a - previous.a) },
+                b: { reference: previous.b, calibrated: next.b, change: round(next.b - previous.b) }
+            };
+        })
+        .sort((x, y) => x.index - y.index);
+
+    const scales = {};
+    for (const dichotomy of [...new Set(items.map(item => item.dichotomy))]) {
+        const group = items.filter(item => item.dichotomy === dichotomy);
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const xs = group.map(item => item.b.reference);
+        const ys = group.map(item => item.b.calibrated);
+        const mx = mean(xs);
+        const my = mean(ys);
+        const sxy = xs.reduce((sum, x, i) => sum + (x - mx) * (ys[i] - my), 0);
+        const sxx = xs.reduce((sum, x) => sum + (x - mx) ** 2, 0);
+        const syy = ys.reduce((sum, y) => sum + (y - my) ** 2, 0);
+        scales[dichotomy] = {
+            items: group.length,
+            meanAbsChangeA: round(mean(group.map(item => Math.abs(item.a.change)))),
+            meanAbsChangeB: round(mean(group.map(item => Math.abs(item.b.change)))),
+            correlationB: sxx && syy ? round(sxy / Math.sqrt(sxx * syy)) : null
+        };
+    }
+
+    return { items, scales };
+}
@@ -0,0 +1,109 @@
+/**
+ * csv.js: Minimal RFC 4180 CSV reading and writing
+ *
+ * Fields containing commas, quotes or line breaks are quoted, and embedded quotes
+ * are doubled. Parsed rows keep the 1-based line number they started on so callers
+ * can point at malformed input.
+ */
+
+function escapeField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialises an array of objects to CSV using `columns` as the header row.
+ */
+export function toCsv(columns, rows) {
+    const lines = [columns.map(escapeField).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeField(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Splits CSV text into rows of raw string fields.
+ * @returns {{fields: string[], line: number}[]}
+ */
+function parseRows(text) {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            fields.push(field);
+            rows.push({ fields, line: rowLine });
+            fields = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error(`Unterminated quoted field starting on line ${rowLine}.`);
+    }
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        rows.push({ fields, line: rowLine });
+    }
+
+    // Blank lines carry no data.
+    return rows.filter(row => !(row.fields.length === 1 && row.fields[0].trim() === ''));
+}
+
+/**
+ * Parses CSV text with a header row into objects keyed by column name. A leading byte-order mark is ignored.
+ * Rows whose field count does not match the header are left out of `records` and listed in `errors`.
+ * @returns {{columns: string[], records: {values: object, line: number}[], errors: {line: number, message: string}[]}}
+ */
+export function parseCsv(text) {
+    const rows = parseRows(text.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) {
+        return { columns: [], records: [], errors: [] };
+    }
+
+    const columns = rows[0].fields.map(column => column.trim());
+    const records = [];
+    const errors = [];
+
+    for (const { fields, line } of rows.slice(1)) {
+        if (fields.length !== columns.length) {
+            errors.push({ line, message: `expected ${columns.length} fields but found ${fields.length}` });
+            continue;
+        }
+        const values = {};
+        columns.forEach((column, index) => {
+            values[column] = fields[index];
+        });
+        records.push({ values, line });
+    }
+
+    return { columns, records, errors };
+}
@@ -0,0 +1,282 @@
+/**
+ * dif.js: Differential item functioning (DIF) across respondent groups
+ *
+ * An item shows DIF when respondents with the same preference level but from different
+ * groups (language versions, countries, demographics) choose its first pole at different
+ * rates, for example because a translated Part II word pair carries another connotation.
+ * Such items bias comparisons between groups and should not be used across them as is.
+ *
+ * Each focal group is compared with the reference group, item by item. Respondents are
+ * matched on their theta for the item's dichotomy from scorer.js (EAP by default, which
+ * stays finite for all-one-pole patterns); that theta includes the studied item, as the
+ * total score does in the classical procedure.
+ *
+ * 1.  **Mantel-Haenszel** (Holland & Thayer, 1988). Respondents are split into `strata`
+ *     groups by theta quantile. Per stratum, the 2x2 table of group by first/second pole
+ *     gives the common odds ratio alpha_MH, reported on the ETS delta scale as
+ *     MH D-DIF = -2.35 ln(alpha_MH) (negative: the item favours the reference group's
+ *     first-pole endorsement), with the continuity-corrected MH chi-square and the
+ *     Robins-Breslow-Greenland standard error. ETS categories:
+ *     - A (negligible): |D| < 1 or the MH chi-square is not significant at 5%.
+ *     - C (large): |D| >= 1.5 and |D| is significantly greater than 1 (one-sided 5%).
+ *     - B (moderate): otherwise.
+ * 2.  **IRT likelihood ratio.** With theta held at the scorer's estimate, the item's 2PL
+ *     curve P = 1 / (1 + exp(-(a theta + c))) is fitted three ways: common to both groups,
+ *     with a group-specific intercept (uniform DIF), and with group-specific a and c
+ *     (non-uniform DIF). G^2 = 2 (LL_larger - LL_smaller) is tested against chi-square:
+ *     df = 2 for any DIF, 1 each for the uniform and non-uniform steps. The per-group a
+ *     and b show the size and direction. (Holding theta fixed rather than re-estimating
+ *     the groups' distributions by multi-group MML keeps this fast; it is the
+ *     logistic-regression form of the test, on the IRT metric.)
+ *
+ * An item is flagged for a comparison when its ETS category is B or C, or when the
+ * likelihood-ratio test is significant at DIF_THRESHOLDS.lrAlpha.
+ */
+
+import { calculateResults } from './scorer.js';
+import { getInstrument, getItems } from './instruments.js';
+import { invertMatrix, chiSquareSurvival } from './statistics.js';
+
+export const DIF_THRESHOLDS = {
+    strata: 10, // Theta quantile groups for Mantel-Haenszel
+    minGroupSize: 20, // Items with fewer answering respondents in either group are not tested
+    categoryB: 1, // |MH D-DIF| at which DIF stops being negligible
+    categoryC: 1.5, // |MH D-DIF| for large DIF
+    lrAlpha: 0.01 // Significance level of the likelihood-ratio test
+};
+
+const Z_ONE_SIDED_5 = 1.645;
+const CHI_SQUARE_1_AT_5 = 3.841;
+
+function round(value, digits = 3) {
+    return value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits));
+}
+
+function logistic(z) {
+    return 1 / (1 + Math.exp(-z));
+}
+
+/**
+ * Maximum-likelihood logistic regression by Newton-Raphson (IRLS).
+ * Returns the coefficients and the log-likelihood.
+ */
+function fitLogistic(rows, outcomes) {
+    const p = rows[0].length;
+    let beta = new Array(p).fill(0);
+
+    for (let iteration = 0; iteration < 50; iteration++) {
+        const gradient = new Array(p).fill(0);
+        const hessian = Array.from({ length: p }, () => new Array(p).fill(0));
+        rows.forEach((x, i) => {
+            const P = logistic(x.reduce((sum, value, j) => sum + value * beta[j], 0));
+            const weight = P * (1 - P);
+            for (let j = 0; j < p; j++) {
+                gradient[j] += (outcomes[i] - P) * x[j];
+                for (let k = 0; k < p; k++) hessian[j][k] += weight * x[j] * x[k];
+            }
+        });
+        const inverse = invertMatrix(hessian);
+        if (!inverse) break;
+        const step = inverse.map(row => row.reduce((sum, value, k) => sum + value * gradient[k], 0));
+        beta = beta.map((value, j) => value + step[j]);
+        if (Math.max(...step.map(Math.abs)) < 1e-8) break;
+    }
+
+    const logLikelihood = rows.reduce((sum, x, i) => {
+        const P = Math.min(1 - 1e-12, Math.max(1e-12, logistic(x.reduce((total, value, j) => total + value * beta[j], 0))));
+        return sum + (outcomes[i] === 1 ? Math.log(P) : Math.log(1 - P));
+    }, 0);
+
+    return { beta, logLikelihood };
+}
+
+function mantelHaenszel(observations, thresholds) {
+    // Stratum boundaries at pooled theta quantiles; equal thetas share a stratum.
+    const sorted = observations.map(entry => entry.theta).sort((x, y) => x - y);
+    const cuts = [];
+    for (let s = 1; s < thresholds.strata; s++) {
+        cuts.push(sorted[Math.floor((s * sorted.length) / thresholds.strata)]);
+    }
+    const strata = new Map();
+    observations.forEach(entry => {
+        const stratum = cuts.filter(cut => entry.theta >= cut).length;
+        if (!strata.has(stratum)) strata.set(stratum, { A: 0, B: 0, C: 0, D: 0 });
+        const table = strata.get(stratum);
+        if (entry.focal) entry.u === 1 ? table.C++ : table.D++;
+        else entry.u === 1 ? table.A++ : table.B++;
+    });
+
+    let R = 0, S = 0, sumA = 0, sumExpected = 0, sumVariance = 0;
+    let sumPR = 0, sumPSQR = 0, sumQS = 0;
+    for (const { A, B, C, D } of strata.values()) {
+        const N = A + B + C + D;
+        const nR = A + B, nF = C + D, m1 = A + C, m0 = B + D;
+        if (nR === 0 || nF === 0 || N < 2) continue;
+        const Rk = (A * D) / N, Sk = (B * C) / N, Pk = (A + D) / N, Qk = (B + C) / N;
+        R += Rk;
+        S += Sk;
+        sumPR += Pk * Rk;
+        sumPSQR += Pk * Sk + Qk * Rk;
+        sumQS += Qk * Sk;
+        sumA += A;
+        sumExpected += (nR * m1) / N;
+        sumVariance += (nR * nF * m1 * m0) / (N * N * (N - 1));
+    }
+
+    if (R === 0 || S === 0 || sumVariance === 0) {
+        return { alpha: null, dDif: null, standardError: null, chiSquare: null, p: null, category: null };
+    }
+
+    const alpha = R / S;
+    const dDif = -2.35 * Math.log(alpha);
+    const varLogAlpha = sumPR / (2 * R * R) + sumPSQR / (2 * R * S) + sumQS / (2 * S * S);
+    const standardError = 2.35 * Math.sqrt(varLogAlpha);
+    const chiSquare = Math.max(0, Math.abs(sumA - sumExpected) - 0.5) ** 2 / sumVariance;
+
+    let category = 'B';
+    if (Math.abs(dDif) < thresholds.categoryB || chiSquare < CHI_SQUARE_1_AT_5) {
+        category = 'A';
+    } else if (Math.abs(dDif) >= thresholds.categoryC && (Math.abs(dDif) - thresholds.categoryB) / standardError > Z_ONE_SIDED_5) {
+        category = 'C';
+    }
+
+    return {
+        alpha: round(alpha),
+        dDif: round(dDif, 2),
+        standardError: round(standardError),
+        chiSquare: round(chiSquare, 2),
+        p: round(chiSquareSurvival(chiSquare, 1), 4),
+        category
+    };
+}
+
+function likelihoodRatio(observations) {
+    const outcomes = observations.map(entry => entry.u);
+    const compact = fitLogistic(observations.map(entry => [entry.theta, 1]), outcomes);
+    const uniform = fitLogistic(observations.map(entry => [entry.theta, 1, entry.focal ? 1 : 0]), outcomes);
+    const augmented = fitLogistic(observations.map(entry => [entry.theta, 1, entry.focal ? 1 : 0, entry.focal ? entry.theta : 0]), outcomes);
+
+    const test = (larger, smaller, df) => {
+        const g2 = Math.max(0, 2 * (larger.logLikelihood - smaller.logLikelihood));
+        return { g2: round(g2, 2), df, p: round(chiSquareSurvival(g2, df), 4) };
+    };
+    const [a, c, cShift, aShift] = augmented.beta;
+    const curve = (slope, intercept) => ({ a: round(slope), b: round(-intercept / slope) });
+    const reference = curve(a, c);
+    const focal = curve(a + aShift, c + cShift);
+
+    return {
+        ...test(augmented, compact, 2),
+        uniform: test(uniform, compact, 1),
+        nonUniform: test(augmented, uniform, 1),
+        reference,
+        focal,
+        deltaB: reference.b === null || focal.b === null ? null : round(focal.b - reference.b)
+    };
+}
+
+/**
+ * Runs Mantel-Haenszel and likelihood-ratio DIF for every item and focal group.
+ *
+ * @param {Array<{ answers: object, group: string }>} respondents - Answers in the scorer's input
+ *   format with the respondent's group; respondents without a group are left out.
+ * @param {object} allQuestions - The parsed item bank file (e.g. questions.json).
+ * @param {object} [options]
+ * @param {string} [options.referenceGroup] - Defaults to the largest group.
+ * @param {string} [options.estimator='EAP'] - Estimator of the matching theta.
+ * @param {object} [options.instrument] - Definition from instruments.js; defaults to Form M.
+ * @param {object} [options.thresholds] - Overrides for DIF_THRESHOLDS.
+ * @returns {object} `{ referenceGroup, groups, comparisons: [{ focalGroup, items }], flagged }`,
+ *   where `flagged` lists the flagged item/comparison pairs with their effect sizes.
+ */
+export function analyzeDif(respondents, allQuestions, options = {}) {
+    const instrument = options.instrument || getInstrument();
+    const thresholds = { ...DIF_THRESHOLDS, ...options.thresholds };
+    const estimator = options.estimator || 'EAP';
+    const questions = getItems(instrument, allQuestions);
+
+    const grouped = respondents.filter(respondent => respondent.group !== undefined && respondent.group !== null && String(respondent.group).trim() !== '');
+    const groups = {};
+    grouped.forEach(respondent => {
+        const group = String(respondent.group).trim();
+        groups[group] = (groups[group] || 0) + 1;
+    });
+    const groupNames = Object.keys(groups).sort((x, y) => groups[y] - groups[x]);
+
+    if (groupNames.length < 2) {
+        throw new Error(`DIF needs respondents from at least two groups; found ${groupNames.length}.`);
+    }
+    const referenceGroup = options.referenceGroup !== undefined ? String(options.referenceGroup) : groupNames[0];
+    if (!groups[referenceGroup]) {
+        throw new Error(`Reference group "${referenceGroup}" has no respondents. Groups: ${groupNames.join(', ')}.`);
+    }
+
+    const scored = grouped.map(respondent => ({
+        group: String(respondent.group).trim(),
+        answers: respondent.answers,
+        thetas: calculateResults(respondent.answers, allQuestions, { estimator, instrument }).dichotomyResults
+    }));
+
+    const comparisons = groupNames.filter(name => name !== referenceGroup).map(focalGroup => {
+        const pair = scored.filter(respondent => respondent.group === referenceGroup || respondent.group === focalGroup);
+
+        const items = questions.map(question => {
+            const observations = pair
+                .filter(respondent => respondent.answers[question.number] && respondent.thetas[question.dichotomy].theta !== null)
+                .map(respondent => ({
+                    u: question.options[respondent.answers[question.number].choice].scoreKey,
+                    theta: respondent.thetas[question.dichotomy].theta,
+                    focal: respondent.group === focalGroup
+                }));
+            const n = {
+                reference: observations.filter(entry => !entry.focal).length,
+                focal: observations.filter(entry => entry.focal).length
+            };
+            const entry = {
+                number: question.number,
+                dichotomy: question.dichotomy,
+                part: question.part,
+                facet: question.facet || null,
+                n,
+                mantelHaenszel: null,
+                likelihoodRatio: null,
+                flagged: false
+            };
+            if (n.reference < thresholds.minGroupSize || n.focal < thresholds.minGroupSize) {
+                return entry;
+            }
+
+            entry.mantelHaenszel = mantelHaenszel(observations, thresholds);
+            entry.likelihoodRatio = likelihoodRatio(observations);
+            entry.flagged = ['B', 'C'].includes(entry.mantelHaenszel.category)
+                || (entry.likelihoodRatio.p !== null && entry.likelihoodRatio.p < thresholds.lrAlpha);
+            return entry;
+        });
+
+        return { focalGroup, items };
+    });
+
+    const flagged = comparisons.flatMap(({ focalGroup, items }) => items
+        .filter(item => item.flagged)
+        .map(item => ({
+            focalGroup,
+            number: item.number,
+            dichotomy: item.dichotomy,
+            part: item.part,
+            category: item.mantelHaenszel.category,
+            dDif: item.mantelHaenszel.dDif,
+            lrP: item.likelihoodRatio.p,
+            deltaB: item.likelihoodRatio.deltaB
+        })));
+
+    return {
+        instrumentId: instrument.id,
+        instrumentVersion: instrument.version,
+        estimator,
+        referenceGroup,
+        groups,
+        thresholds,
+        comparisons,
+        flagged
+    };
+}
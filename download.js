@@ -0,0 +1,28 @@
+/**
+ * download.js: Saves generated content as a file through the browser.
+ */
+
+export function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoke on the next tick; some browsers start the download asynchronously.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Reads a user-selected File as text.
+ */
+export function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
@@ -0,0 +1,85 @@
+/**
+ * facilitator.js: Client for the facilitator backend (facilitatorServer.mjs)
+ *
+ * A facilitator creates a session with instructions and a roster; every participant gets
+ * a code and a start link (`?participant=<code>`). The participant's app tags its result
+ * record with the session and code (`administration.participant` in resultRecord.js) and
+ * reports each step back, so the facilitator's roster shows who has started, finished the
+ * questions and verified their type. Participants working offline export their record
+ * instead, and the facilitator imports it into the roster.
+ *
+ * When a session has `lockResults` set, participants choose their best-fit type before
+ * they see their reported type.
+ *
+ * All functions return promises and reject with an Error carrying the server's message.
+ */
+
+// In the order a participant goes through them; the server never moves a status back.
+export const PARTICIPANT_STATUSES = ['invited', 'started', 'answered', 'verified'];
+
+const API_URL = './api';
+
+async function request(method, path, body) {
+    const response = await fetch(`${API_URL}/${path}`, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const result = await response.json().catch(() => ({ error: `The facilitator server answered ${response.status}.` }));
+    if (!response.ok) {
+        throw new Error(result.error || `The facilitator server answered ${response.status}.`);
+    }
+    return result;
+}
+
+export function listSessions() {
+    return request('GET', 'sessions');
+}
+
+/**
+ * @param {object} session
+ * @param {string} session.name
+ * @param {string} [session.instructions] - Shown to participants before they begin.
+ * @param {boolean} [session.lockResults] - Verification comes before the reported type.
+ * @param {string} [session.instrumentId] - Defaults to the registry default.
+ * @param {string[]} [session.participants] - Names, one participant code each.
+ */
+export function createSession(session) {
+    return request('POST', 'sessions', session);
+}
+
+export function getSession(id) {
+    return request('GET', `sessions/${encodeURIComponent(id)}`);
+}
+
+export function updateSession(id, changes) {
+    return request('PATCH', `sessions/${encodeURIComponent(id)}`, changes);
+}
+
+export function addParticipants(id, names) {
+    return request('POST', `sessions/${encodeURIComponent(id)}/participants`, { names });
+}
+
+/**
+ * Looks up a participant code: `{ sessionId, sessionName, instructions, instrumentId, lockResults, code, name, status }`.
+ */
+export function getParticipant(code) {
+    return request('GET', `participants/${encodeURIComponent(code.trim().toUpperCase())}`);
+}
+
+/**
+ * Reports a participant's progress (one of PARTICIPANT_STATUSES), with their result record once there is one.
+ */
+export function syncParticipant(code, status, record = null) {
+    return request('PUT', `participants/${encodeURIComponent(code)}`, record ? { status, record } : { status });
+}
+
+/**
+ * The start link to hand out for a participant code, relative to the page the facilitator is on.
+ */
+export function participantLink(code, base = location.href) {
+    const url = new URL(base);
+    url.search = `?participant=${encodeURIComponent(code)}`;
+    url.hash = '';
+    return url.toString();
+}
@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+/**
+ * facilitatorServer.mjs: Local stand-in backend for facilitated group administrations
+ *
+ * Serves the app itself and a small JSON API that keeps facilitator sessions in a single
+ * JSON file, so that a facilitator can hand out start links and follow the group's progress
+ * without collecting screenshots. It is meant for a trusted local network: there are no
+ * accounts, and anyone who can reach the server can read the sessions.
+ * Requires Node.js 20.19 or later (it loads the browser ES modules directly).
+ *
+ * Usage:
+ *     node facilitatorServer.mjs [--port 8080] [--store facilitator-sessions.json]
+ *
+ * Then open http://localhost:8080/?facilitator to create a session. Each participant gets a
+ * code and a start link (http://<host>:8080/?participant=<code>); the app tags their result
+ * record with the session and code and reports its progress back (see facilitator.js).
+ *
+ * Store file:
+ *
+ *     {
+ *       "version": 1,
+ *       "sessions": {
+ *         "<id>": {
+ *           "id", "name", "instructions", "instrumentId", "lockResults", "createdAt",
+ *           "participants": [{ "code", "name", "status", "createdAt", "updatedAt", "record" }]
+ *         }
+ *       }
+ *     }
+ *
+ * A participant's status only moves forward: invited, started, answered (questions
+ * finished), verified (best-fit type chosen). `record` is their latest result record, with
+ * its reported and best-fit type recomputed from the responses and best-fit choices.
+ *
+ * API (JSON bodies; errors are `{ "error": message }` with status 400 or 404):
+ *     GET   /api/sessions                    Session summaries, newest first
+ *     POST  /api/sessions                    { name, instructions, lockResults, instrumentId, participants: [names] }
+ *     GET   /api/sessions/<id>               Full session with its roster and records
+ *     PATCH /api/sessions/<id>               { name?, instructions?, lockResults? }
+ *     POST  /api/sessions/<id>/participants  { names: [names] }
+ *     GET   /api/participants/<code>         What a participant's app needs: session name,
+ *                                            instructions, lock setting, their own name and status
+ *     PUT   /api/participants/<code>         { status, record? } from the participant's app, or
+ *                                            from the facilitator importing an exported record
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { getInstrument, getItems, DEFAULT_INSTRUMENT_ID } from './instruments.js';
+import { validateResultRecord, scoreRecord } from './resultRecord.js';
+import { PARTICIPANT_STATUSES } from './facilitator.js';
+
+const APP_DIR = path.dirname(fileURLToPath(import.meta.url));
+const STORE_VERSION = 1;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I, so codes can be read out
+const CODE_LENGTH = 6;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.ico': 'image/x-icon',
+    '.svg': 'image/svg+xml'
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function usage(message) {
+    if (message) console.error(`Error: ${message}\n`);
+    console.error('Usage: node facilitatorServer.mjs [--port 8080] [--store facilitator-sessions.json]');
+    process.exit(2);
+}
+
+function parseArgs(argv) {
+    const options = { port: '8080', store: 'facilitator-sessions.json' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (['--port', '--store'].includes(arg)) {
+            if (i + 1 >= argv.length) usage(`${arg} needs a value.`);
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            usage();
+        } else {
+            usage(`Unknown option ${arg}.`);
+        }
+    }
+
+    options.port = Number(options.port);
+    if (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535) usage('--port must be a port number.');
+    options.store = path.resolve(options.store);
+    return options;
+}
+
+// --- STORE ---
+
+function loadStore(file) {
+    if (!fs.existsSync(file)) {
+        return { version: STORE_VERSION, sessions: {} };
+    }
+    const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (store.version !== STORE_VERSION) {
+        throw new Error(`${file} has store version ${store.version}; expected ${STORE_VERSION}.`);
+    }
+    return store;
+}
+
+// Writes to a temporary file first, so that a crash never leaves a half-written store.
+function saveStore(file, store) {
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(store, null, 2) + '\n');
+    fs.renameSync(temporary, file);
+}
+
+function randomCode(taken) {
+    for (;;) {
+        const bytes = crypto.randomBytes(CODE_LENGTH);
+        const code = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+        if (!taken.has(code)) return code;
+    }
+}
+
+function allCodes(store) {
+    const codes = new Set(Object.keys(store.sessions));
+    Object.values(store.sessions).forEach(session => session.participants.forEach(participant => codes.add(participant.code)));
+    return codes;
+}
+
+function createParticipants(store, names) {
+    const taken = allCodes(store);
+    const now = new Date().toISOString();
+    return names.map(name => {
+        const code = randomCode(taken);
+        taken.add(code);
+        return { code, name, status: 'invited', createdAt: now, updatedAt: now, record: null };
+    });
+}
+
+function findParticipant(store, code) {
+    for (const session of Object.values(store.sessions)) {
+        const participant = session.participants.find(entry => entry.code === code);
+        if (participant) return { session, participant };
+    }
+    throw new HttpError(404, `No participant with code "${code}".`);
+}
+
+function getSession(store, id) {
+    const session = store.sessions[id];
+    if (!session) throw new HttpError(404, `No session "${id}".`);
+    return session;
+}
+
+function summarizeSession(session) {
+    const counts = Object.fromEntries(PARTICIPANT_STATUSES.map(status => [status, 0]));
+    session.participants.forEach(participant => counts[participant.status]++);
+    const { participants, ...rest } = session;
+    return { ...rest, participantCount: participants.length, statusCounts: counts };
+}
+
+// --- VALIDATION ---
+
+function text(value, field, { required = false, maxLength = 2000 } = {}) {
+    if (value === undefined || value === null || value === '') {
+        if (required) throw new HttpError(400, `${field} is required.`);
+        return '';
+    }
+    if (typeof value !== 'string' || value.length > maxLength) {
+        throw new HttpError(400, `${field} must be text of at most ${maxLength} characters.`);
+    }
+    return value.trim();
+}
+
+function names(value) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || value.length > 500) {
+        throw new HttpError(400, 'participants must be a list of at most 500 names.');
+    }
+    return value.map((name, index) => text(name, `Participant ${index + 1}`, { maxLength: 200 })).filter(Boolean);
+}
+
+const itemsByInstrument = new Map();
+
+function instrumentItems(instrumentId) {
+    if (!itemsByInstrument.has(instrumentId)) {
+        const instrument = getInstrument(instrumentId);
+        const itemBank = JSON.parse(fs.readFileSync(path.join(APP_DIR, instrument.itemBank.url), 'utf8'));
+        itemsByInstrument.set(instrumentId, { instrument, itemBank, questions: getItems(instrument, itemBank) });
+    }
+    return itemsByInstrument.get(instrumentId);
+}
+
+// Returns the record to store, with its types recomputed: the ones it was sent with come from the participant's browser.
+function checkRecord(record, session, participant) {
+    const { instrument, itemBank, questions } = instrumentItems(session.instrumentId);
+    try {
+        validateResultRecord(record, questions, instrument);
+    } catch (error) {
+        throw new HttpError(400, error.message);
+    }
+    const tag = record.administration && record.administration.participant;
+    if (!tag || tag.code !== participant.code || tag.sessionId !== session.id) {
+        throw new HttpError(400, `The record is not tagged with participant ${participant.code} of session ${session.id}.`);
+    }
+    const { reportedType, bestFitType } = scoreRecord(record, itemBank, instrument);
+    return { ...record, reportedType, bestFitType };
+}
+
+// --- API ---
+
+function handleApi(method, parts, body, store) {
+    const [resource, id, subresource] = parts;
+
+    if (resource === 'sessions' && !id) {
+        if (method === 'GET') {
+            return Object.values(store.sessions).map(summarizeSession).sort((x, y) => y.createdAt.localeCompare(x.createdAt));
+        }
+        if (method === 'POST') {
+            const instrumentId = text(body.instrumentId, 'instrumentId') || DEFAULT_INSTRUMENT_ID;
+            try {
+                getInstrument(instrumentId);
+            } catch (error) {
+                throw new HttpError(400, error.message);
+            }
+            const session = {
+                id: randomCode(allCodes(store)),
+                name: text(body.name, 'name', { required: true, maxLength: 200 }),
+                instructions: text(body.instructions, 'instructions'),
+                instrumentId,
+                lockResults: Boolean(body.lockResults),
+                createdAt: new Date().toISOString(),
+                participants: []
+            };
+            session.participants = createParticipants(store, names(body.participants));
+            store.sessions[session.id] = session;
+            return session;
+        }
+    }
+
+    if (resource === 'sessions' && id && !subresource) {
+        const session = getSession(store, id);
+        if (method === 'GET') return session;
+        if (method === 'PATCH') {
+            if (body.name !== undefined) session.name = text(body.name, 'name', { required: true, maxLength: 200 });
+            if (body.instructions !== undefined) session.instructions = text(body.instructions, 'instructions');
+            if (body.lockResults !== undefined) session.lockResults = Boolean(body.lockResults);
+            return session;
+        }
+    }
+
+    if (resource === 'sessions' && id && subresource === 'participants' && method === 'POST') {
+        const session = getSession(store, id);
+        const added = createParticipants(store, names(body.names));
+        session.participants.push(...added);
+        return session;
+    }
+
+    if (resource === 'participants' && id) {
+        const { session, participant } = findParticipant(store, id);
+        if (method === 'PUT') {
+            if (!PARTICIPANT_STATUSES.includes(body.status)) {
+                throw new HttpError(400, `status must be one of ${PARTICIPANT_STATUSES.join(', ')}.`);
+            }
+            if (body.record) {
+                participant.record = checkRecord(body.record, session, participant);
+            }
+            // Late or repeated syncs never move a participant back.
+            if (PARTICIPANT_STATUSES.indexOf(body.status) > PARTICIPANT_STATUSES.indexOf(participant.status)) {
+                participant.status = body.status;
+            }
+            participant.updatedAt = new Date().toISOString();
+        } else if (method !== 'GET') {
+            throw new HttpError(404, `${method} is not supported here.`);
+        }
+        return {
+            sessionId: session.id,
+            sessionName: session.name,
+            instructions: session.instructions,
+            instrumentId: session.instrumentId,
+            lockResults: session.lockResults,
+            code: participant.code,
+            name: participant.name,
+            status: participant.status
+        };
+    }
+
+    throw new HttpError(404, `${method} /api/${parts.join('/')} is not supported.`);
+}
+
+// --- HTTP ---
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(400, 'The request body is too large.'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            if (chunks.length === 0) {
+                resolve({});
+                return;
+            }
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch {
+                reject(new HttpError(400, 'The request body is not valid JSON.'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function sendJson(response, status, value) {
+    response.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(value));
+}
+
+// Percent-decodes a path or path segment; a malformed escape is the client's error.
+function decodePath(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        throw new HttpError(400, `The path "${value}" is not validly encoded.`);
+    }
+}
+
+// Serves the app's own files; the store and anything outside the app directory are off limits.
+function serveStatic(pathname, response, storeFile) {
+    const file = path.resolve(APP_DIR, `.${decodePath(pathname === '/' ? '/index.html' : pathname)}`);
+    const type = MIME_TYPES[path.extname(file).toLowerCase()];
+    if (!file.startsWith(APP_DIR + path.sep) || !type || file === storeFile || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Not found');
+        return;
+    }
+    response.writeHead(200, { 'Content-Type': type });
+    fs.createReadStream(file).pipe(response);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    let store;
+    try {
+        store = loadStore(options.store);
+    } catch (error) {
+        usage(error.message);
+    }
+
+    const server = http.createServer(async (request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        try {
+            if (!pathname.startsWith('/api/')) {
+                serveStatic(pathname, response, options.store);
+                return;
+            }
+
+            const body = ['POST', 'PUT', 'PATCH'].includes(request.method) ? await readBody(request) : {};
+            const result = handleApi(request.method, pathname.slice('/api/'.length).split('/').filter(Boolean).map(decodePath), body, store);
+            if (request.method !== 'GET') {
+                saveStore(options.store, store);
+            }
+            sendJson(response, request.method === 'POST' ? 201 : 200, result);
+        } catch (error) {
+            if (!(error instanceof HttpError)) console.error(error);
+            sendJson(response, error.status || 500, { error: error.message });
+        }
+    });
+
+    server.listen(options.port, () => {
+        console.error(`Facilitator server on http://localhost:${options.port}/?facilitator (store: ${options.store})`);
+    });
+}
+
+main();
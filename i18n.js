@@ -0,0 +1,200 @@
+/**
+ * i18n.js: Locales, translation bundles and translated item text
+ *
+ * UI strings and the verification descriptions live in one JSON bundle per locale
+ * (`locales/<code>.json`, nested objects addressed by dotted keys such as
+ * `quiz.skip`). English is the reference bundle: a key missing from another locale
+ * falls back to English, and a key missing from English too falls back to the key
+ * itself, so an incomplete translation never leaves a blank.
+ *
+ * Strings may contain `{name}` placeholders, filled from the `params` passed to the
+ * translator. Static markup is translated through attributes:
+ * - `data-i18n="key"` sets the element's text;
+ * - `data-i18n-html="key"` sets its HTML (for strings with inline markup such as <strong>);
+ * - `data-i18n-attr="attribute:key; ..."` sets attributes (e.g. `aria-label`, `title`).
+ *
+ * Item text is translated per instrument: `itemBank.translations` in the instrument
+ * definition (see instruments.js) maps a locale code to a JSON file of the form
+ *
+ *     {
+ *       "locale": "fr",
+ *       "instrument": "MBTI_Form_M",
+ *       "items": {
+ *         "1": { "question": "...", "options": { "A": "...", "B": "..." } },
+ *         "31": { "options": { "A": "...", "B": "..." } }   // Part II word pair
+ *       }
+ *     }
+ *
+ * keyed by item `number`. Only text is taken from it; poles, score keys and dichotomies
+ * always come from the instrument's own item bank, so scoring is tied to the same
+ * parameters in every language. Untranslated items keep their English text.
+ *
+ * Locales with `dir: 'rtl'` switch the document to right-to-left layout (see style.css).
+ */
+
+export const LOCALES = [
+    { code: 'en', name: 'English', dir: 'ltr' },
+    { code: 'fr', name: 'Français', dir: 'ltr' },
+    { code: 'es', name: 'Español', dir: 'ltr' }
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+const BUNDLE_URL = code => `./locales/${code}.json`;
+const STORAGE_KEY = 'formM.locale';
+
+/**
+ * Picks a supported locale: the first of `candidates` (e.g. a URL parameter, the saved
+ * preference, the browser languages) whose code or language part is supported.
+ */
+export function resolveLocale(candidates) {
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+        const code = String(candidate).toLowerCase();
+        const match = LOCALES.find(locale => locale.code === code) || LOCALES.find(locale => locale.code === code.split('-')[0]);
+        if (match) return match.code;
+    }
+    return DEFAULT_LOCALE;
+}
+
+export function getLocale(code) {
+    return LOCALES.find(locale => locale.code === code) || LOCALES.find(locale => locale.code === DEFAULT_LOCALE);
+}
+
+export function loadLocalePreference() {
+    try {
+        return localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+export function saveLocalePreference(code) {
+    try {
+        localStorage.setItem(STORAGE_KEY, code);
+    } catch (error) {
+        console.warn("Could not save the language preference:", error);
+    }
+}
+
+function fetchJson(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+        return response.json();
+    });
+}
+
+function lookup(bundle, key) {
+    const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle);
+    return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Loads the bundle of `code` (and the English fallback) and returns a translator:
+ * `t(key, params)` returns the translated string; `t.has(key)` tells whether any bundle
+ * defines `key`; `t.locale` is the locale entry; `t.bundle(key)` returns a bundle subtree
+ * (e.g. all verification descriptions) merged over English.
+ */
+export function loadTranslator(code) {
+    const locale = getLocale(code);
+    const bundles = locale.code === DEFAULT_LOCALE
+        ? [fetchJson(BUNDLE_URL(DEFAULT_LOCALE))]
+        : [fetchJson(BUNDLE_URL(locale.code)).catch(error => {
+            console.warn(`Could not load the ${locale.code} bundle, using English:`, error);
+            return {};
+        }), fetchJson(BUNDLE_URL(DEFAULT_LOCALE))];
+
+    return Promise.all(bundles).then(([primary, fallback = {}]) => createTranslator(locale, primary, fallback));
+}
+
+function createTranslator(locale, primary, fallback) {
+    const reported = new Set();
+
+    const t = (key, params = {}) => {
+        let value = lookup(primary, key);
+        if (value === undefined) {
+            value = lookup(fallback, key);
+            if (!reported.has(key)) {
+                reported.add(key);
+                console.warn(`[i18n] Missing ${locale.code} string "${key}"${value === undefined ? ' (no fallback either)' : ''}.`);
+            }
+        }
+        if (value === undefined) return key;
+        return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+    };
+
+    t.has = key => lookup(primary, key) !== undefined || lookup(fallback, key) !== undefined;
+    t.locale = locale;
+    t.bundle = key => {
+        const pick = bundle => key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle) || {};
+        const base = pick(fallback);
+        const translated = pick(primary);
+        const merged = {};
+        for (const name of new Set([...Object.keys(base), ...Object.keys(translated)])) {
+            merged[name] = typeof base[name] === 'object' || typeof translated[name] === 'object'
+                ? { ...base[name], ...translated[name] }
+                : (translated[name] !== undefined ? translated[name] : base[name]);
+        }
+        return merged;
+    };
+
+    return t;
+}
+
+/**
+ * Applies `t` to every element under `root` carrying data-i18n attributes, and sets the
+ * document language and direction. Keys no bundle defines leave the markup as it is.
+ */
+export function translatePage(root, t) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        const key = element.dataset.i18n;
+        if (t.has(key)) element.textContent = t(key);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        const key = element.dataset.i18nHtml;
+        if (t.has(key)) element.innerHTML = t(key);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (attribute && key && t.has(key)) element.setAttribute(attribute, t(key));
+        });
+    });
+
+    document.documentElement.lang = t.locale.code;
+    document.documentElement.dir = t.locale.dir;
+    if (t.has('app.title')) document.title = t('app.title');
+}
+
+/**
+ * Loads the item translation of `instrument` for `code`, or resolves to null when the
+ * instrument has none for that locale (or it cannot be loaded).
+ */
+export function loadItemTranslation(instrument, code) {
+    const url = instrument.itemBank.translations && instrument.itemBank.translations[code];
+    if (!url) return Promise.resolve(null);
+    return fetchJson(url).catch(error => {
+        console.warn(`Could not load the ${code} item text, using the original:`, error);
+        return null;
+    });
+}
+
+/**
+ * Returns copies of `items` with question and option text replaced from `translation`
+ * (matched by item number). Everything that affects scoring is left untouched.
+ */
+export function localizeItems(items, translation) {
+    if (!translation || !translation.items) return items;
+
+    return items.map(item => {
+        const entry = translation.items[item.number];
+        if (!entry) return item;
+
+        const options = {};
+        for (const [key, option] of Object.entries(item.options)) {
+            const text = entry.options && entry.options[key];
+            options[key] = text ? { ...option, text } : option;
+        }
+        return { ...item, ...(entry.question ? { question: entry.question } : {}), options };
+    });
+}
@@ -0,0 +1,137 @@
+/**
+ * instruments.js: Registry of instrument definitions
+ *
+ * An instrument definition bundles everything the app and scorer need to administer
+ * and score one questionnaire, so that shorter research forms or custom scales can be
+ * added as a new entry instead of by forking app.js, scorer.js and the parameter matrix.
+ *
+ * Definition format:
+ *
+ *     {
+ *       id: 'MBTI_Form_M',                  // Stable identifier, stored in result records
+ *       name: 'MBTI Form M',                 // Shown in the instrument picker
+ *       version: '1.0.0',                    // Stored in result records
+ *       itemBank: {
+ *         url: './questions.json',           // JSON file holding the items (fetched by the app)
+ *         key: 'MBTI_Form_M',                // Property of that file holding the item array
+ *         translations: { fr: './questions.fr.json' } // Optional: item text per locale (see i18n.js)
+ *       },
+ *       itemParameters,                      // 2PL { dichotomy, params: { a, b } } by zero-based item index
+ *       scales: [                            // One entry per scored dichotomy, in display order
+ *         {
+ *           id: 'S-N',                       // Matches the items' `dichotomy` field
+ *           poles: ['S', 'N'],               // [scoreKey 1 pole, scoreKey 0 pole]
+ *           tieBreaker: 'N',                 // Pole assigned when theta is exactly 0
+ *           midpointAdjustment: { from: 'S', to: 'N', maxPci: 1 } // Or null
+ *         }
+ *       ],
+ *       clarity: {
+ *         thetaRange: 3,                     // Theta is clamped to [-thetaRange, thetaRange]
+ *         maxPci: 30,                        // PCI at |theta| = thetaRange
+ *         bands: [{ minPci: 26, label: 'Very Clear' }, ...] // Highest band first
+ *       },
+ *       poleDescriptions: { X: { title, text } }, // Optional: verification text for poles the app
+ *                                                 // does not describe already (custom scales)
+ *       typeDistribution: {                  // Optional: reference population for the team
+ *         source: 'MBTI Manual (1998) ...',  // dashboard's selection ratio type table (teamSummary.js)
+ *         sampleSize: 3009,
+ *         percentages: { ISTJ: 11.6, ... }   // Per whole type, letters in scale order
+ *       }
+ *     }
+ *
+ * Items in the bank follow the questions.json format: `number`, `part`, `dichotomy`,
+ * `facet`, optional `question`, and `options` whose `scoreKey` is 1 for the first pole.
+ */
+
+import { itemParameters } from './itemParameterMatrix.js';
+
+const FORM_M = {
+    id: 'MBTI_Form_M',
+    name: 'MBTI Form M (93 items)',
+    version: '1.0.0',
+    itemBank: {
+        url: './questions.json',
+        key: 'MBTI_Form_M',
+        translations: { fr: './questions.fr.json', es: './questions.es.json' }
+    },
+    itemParameters,
+    scales: [
+        { id: 'E-I', poles: ['E', 'I'], tieBreaker: 'I', midpointAdjustment: null },
+        // MBTI Manual Third Edition, p. 149: slight S, T and J preferences are reclassified.
+        { id: 'S-N', poles: ['S', 'N'], tieBreaker: 'N', midpointAdjustment: { from: 'S', to: 'N', maxPci: 1 } },
+        { id: 'T-F', poles: ['T', 'F'], tieBreaker: 'F', midpointAdjustment: { from: 'T', to: 'F', maxPci: 2 } },
+        { id: 'J-P', poles: ['J', 'P'], tieBreaker: 'P', midpointAdjustment: { from: 'J', to: 'P', maxPci: 1 } }
+    ],
+    clarity: {
+        thetaRange: 3,
+        maxPci: 30,
+        bands: [
+            { minPci: 26, label: 'Very Clear' },
+            { minPci: 16, label: 'Clear' },
+            { minPci: 6, label: 'Moderate' },
+            { minPci: 1, label: 'Slight' }
+        ]
+    },
+    // MBTI Manual Third Edition (Myers et al., 1998): national representative sample of US adults.
+    // The published percentages are rounded and add up to 100.3; teamSummary.js normalises them.
+    typeDistribution: {
+        source: 'MBTI Manual (1998), US national representative sample',
+        sampleSize: 3009,
+        percentages: {
+            ISTJ: 11.6, ISFJ: 13.8, INFJ: 1.5, INTJ: 2.1,
+            ISTP: 5.4, ISFP: 8.8, INFP: 4.4, INTP: 3.3,
+            ESTP: 4.3, ESFP: 8.5, ENFP: 8.1, ENTP: 3.2,
+            ESTJ: 8.7, ESFJ: 12.3, ENFJ: 2.5, ENTJ: 1.8
+        }
+    }
+};
+
+// The first entry is the default.
+const INSTRUMENTS = [FORM_M];
+
+export const DEFAULT_INSTRUMENT_ID = INSTRUMENTS[0].id;
+
+export function listInstruments() {
+    return INSTRUMENTS.map(({ id, name, version }) => ({ id, name, version }));
+}
+
+/**
+ * Returns the definition registered under `id`, throwing for unknown ids.
+ */
+export function getInstrument(id = DEFAULT_INSTRUMENT_ID) {
+    const instrument = INSTRUMENTS.find(entry => entry.id === id);
+    if (!instrument) {
+        throw new Error(`Unknown instrument "${id}". Registered: ${INSTRUMENTS.map(entry => entry.id).join(', ')}.`);
+    }
+    return instrument;
+}
+
+/**
+ * Registers an additional instrument at runtime (e.g. a research form defined elsewhere).
+ */
+export function registerInstrument(instrument) {
+    if (INSTRUMENTS.some(entry => entry.id === instrument.id)) {
+        throw new Error(`An instrument with id "${instrument.id}" is already registered.`);
+    }
+    INSTRUMENTS.push(instrument);
+}
+
+/**
+ * Returns a copy of `instrument` that scores with another parameter matrix of the same
+ * shape as itemParameterMatrix.js (e.g. one produced by calibration.js). The version is
+ * suffixed with `label` so that result records show which parameters were used.
+ */
+export function withItemParameters(instrument, itemParameters, label = 'custom') {
+    return { ...instrument, version: `${instrument.version}+${label}`, itemParameters };
+}
+
+/**
+ * The item array of an instrument from its parsed item bank file.
+ */
+export function getItems(instrument, itemBankData) {
+    const items = itemBankData[instrument.itemBank.key];
+    if (!Array.isArray(items)) {
+        throw new Error(`The item bank for "${instrument.id}" has no "${instrument.itemBank.key}" item array.`);
+    }
+    return items;
+}
@@ -0,0 +1,332 @@
+/**
+ * itemAnalysis.js: Reliability and item analysis of a response dataset
+ *
+ * The reliability figures cited in scorer.js come from the publisher's norm samples.
+ * This module computes the same kind of evidence from our own respondents, so that
+ * each administration population (country, language, organisation) can be checked
+ * before its profiles are relied on.
+ *
+ * For each dichotomy:
+ * 1.  **Cronbach's alpha** over the items keyed 1/0 (`scoreKey`), using respondents who
+ *     answered every item of the dichotomy (listwise deletion):
+ *         alpha = k / (k - 1) * (1 - sum(var(item)) / var(total)).
+ * 2.  **Marginal IRT reliability** from each respondent's EAP theta and posterior SD
+ *     (scorer.js), with omissions allowed:
+ *         rho = var(theta) / (var(theta) + mean(SE^2)).
+ * 3.  **Test information curve** I(theta) = sum(a^2 P Q) over the instrument's theta range,
+ *     with SE(theta) = 1 / sqrt(I). This depends only on the parameter matrix, not on the data.
+ *
+ * For each item:
+ * 4.  **Endorsement rates** of each option (and omissions) across all respondents, and
+ *     the share of answering respondents choosing the first pole (the item's p-value).
+ * 5.  **Corrected item-total correlation:** Pearson correlation of the item with the sum
+ *     of the other items of its dichotomy, over the same complete cases as alpha.
+ * Items with a low item-total correlation or an extreme endorsement rate are flagged
+ * (ITEM_FLAG_THRESHOLDS).
+ *
+ * `buildItemAnalysisHtml` renders the result as a self-contained HTML report; the
+ * result object itself is plain JSON.
+ */
+
+import { calculateResults, itemInformation } from './scorer.js';
+import { getInstrument, getItems } from './instruments.js';
+import { escapeHtml } from './report.js';
+
+export const ITEM_FLAG_THRESHOLDS = {
+    minItemTotal: 0.2, // Corrected item-total correlations below this barely measure the scale
+    minEndorsement: 0.05, // First-pole p-values outside [min, max] carry little information here
+    maxEndorsement: 0.95
+};
+
+const INFORMATION_STEP = 0.25; // Theta spacing of the information curve
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Sample variance (n - 1); null for fewer than two values.
+function variance(values) {
+    if (values.length < 2) return null;
+    const m = mean(values);
+    return values.reduce((sum, value) => sum + (value - m) ** 2, 0) / (values.length - 1);
+}
+
+function correlation(xs, ys) {
+    if (xs.length < 2) return null;
+    const mx = mean(xs);
+    const my = mean(ys);
+    let sxy = 0, sxx = 0, syy = 0;
+    for (let i = 0; i < xs.length; i++) {
+        sxy += (xs[i] - mx) * (ys[i] - my);
+        sxx += (xs[i] - mx) ** 2;
+        syy += (ys[i] - my) ** 2;
+    }
+    return sxx === 0 || syy === 0 ? null : sxy / Math.sqrt(sxx * syy);
+}
+
+function round(value, digits = 3) {
+    return value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits));
+}
+
+function cronbachAlpha(matrix) {
+    const k = matrix.length === 0 ? 0 : matrix[0].length;
+    if (k < 2 || matrix.length < 2) return null;
+    const totalVariance = variance(matrix.map(row => row.reduce((sum, value) => sum + value, 0)));
+    if (!totalVariance) return null;
+    let itemVarianceSum = 0;
+    for (let j = 0; j < k; j++) {
+        itemVarianceSum += variance(matrix.map(row => row[j]));
+    }
+    return (k / (k - 1)) * (1 - itemVarianceSum / totalVariance);
+}
+
+function informationCurve(items, thetaRange) {
+    const points = [];
+    for (let theta = -thetaRange; theta <= thetaRange + 1e-9; theta += INFORMATION_STEP) {
+        const information = items.reduce((sum, { a, b }) => sum + itemInformation(theta, a, b), 0);
+        points.push({
+            theta: round(theta, 2),
+            information: round(information),
+            standardError: information > 0 ? round(1 / Math.sqrt(information)) : null
+        });
+    }
+    return points;
+}
+
+/**
+ * Analyses a batch of respondents.
+ *
+ * @param {object[]} respondents - Answers per respondent in the scorer's input format
+ *   (`{ [questionNumber]: { choice: 'A' | 'B' } }`, omissions left out).
+ * @param {object} allQuestions - The parsed item bank file (e.g. questions.json).
+ * @param {object} [options]
+ * @param {object} [options.instrument] - Definition from instruments.js; defaults to Form M.
+ * @returns {object} `{ instrumentId, instrumentVersion, respondents, scales, items }` where
+ *   `scales` is keyed by dichotomy and `items` is in item bank order; see the header above.
+ */
+export function analyzeResponses(respondents, allQuestions, options = {}) {
+    const instrument = options.instrument || getInstrument();
+    const questions = getItems(instrument, allQuestions);
+    const thetaRange = instrument.clarity.thetaRange;
+
+    // Keyed responses: 1 (first pole), 0 (second pole) or null (omitted).
+    const keyed = respondents.map(answers => questions.map(question => {
+        const answer = answers[question.number];
+        return answer ? question.options[answer.choice].scoreKey : null;
+    }));
+
+    const estimates = respondents.map(answers =>
+        calculateResults(answers, allQuestions, { estimator: 'EAP', instrument }).dichotomyResults);
+
+    const items = questions.map((question, index) => {
+        const responses = keyed.map(row => row[index]);
+        const answered = responses.filter(value => value !== null);
+        const optionRates = {};
+        for (const [key, option] of Object.entries(question.options)) {
+            const count = respondents.filter(answers => answers[question.number] && answers[question.number].choice === key).length;
+            optionRates[key] = { pole: option.pole, count, rate: respondents.length ? round(count / respondents.length) : null };
+        }
+        const omitted = respondents.length - answered.length;
+        return {
+            number: question.number,
+            dichotomy: question.dichotomy,
+            facet: question.facet || null,
+            a: instrument.itemParameters[index].params.a,
+            b: instrument.itemParameters[index].params.b,
+            answered: answered.length,
+            omitted,
+            omissionRate: respondents.length ? round(omitted / respondents.length) : null,
+            options: optionRates,
+            pValue: answered.length ? round(mean(answered)) : null,
+            itemTotal: null,
+            flags: []
+        };
+    });
+
+    const scales = {};
+    for (const scale of instrument.scales) {
+        const indices = questions
+            .map((question, index) => (question.dichotomy === scale.id ? index : -1))
+            .filter(index => index >= 0);
+
+        const completeRows = keyed
+            .filter(row => indices.every(index => row[index] !== null))
+            .map(row => indices.map(index => row[index]));
+
+        indices.forEach((index, position) => {
+            const itemScores = completeRows.map(row => row[position]);
+            const restScores = completeRows.map(row => row.reduce((sum, value) => sum + value, 0) - row[position]);
+            items[index].itemTotal = round(correlation(itemScores, restScores));
+        });
+
+        const scored = estimates.map(result => result[scale.id]).filter(result => result.standardError !== null);
+        const thetas = scored.map(result => result.theta);
+        const thetaVariance = variance(thetas);
+        const errorVariance = scored.length ? mean(scored.map(result => result.standardError ** 2)) : null;
+
+        scales[scale.id] = {
+            items: indices.length,
+            completeCases: completeRows.length,
+            alpha: round(cronbachAlpha(completeRows)),
+            scored: scored.length,
+            meanTheta: scored.length ? round(mean(thetas)) : null,
+            sdTheta: thetaVariance === null ? null : round(Math.sqrt(thetaVariance)),
+            meanStandardError: errorVariance === null ? null : round(Math.sqrt(errorVariance)),
+            marginalReliability: thetaVariance === null ? null : round(thetaVariance / (thetaVariance + errorVariance)),
+            informationCurve: informationCurve(indices.map(index => instrument.itemParameters[index].params), thetaRange)
+        };
+    }
+
+    for (const item of items) {
+        if (item.itemTotal !== null && item.itemTotal < ITEM_FLAG_THRESHOLDS.minItemTotal) {
+            item.flags.push('low item-total correlation');
+        }
+        if (item.pValue !== null && (item.pValue < ITEM_FLAG_THRESHOLDS.minEndorsement || item.pValue > ITEM_FLAG_THRESHOLDS.maxEndorsement)) {
+            item.flags.push('extreme endorsement');
+        }
+    }
+
+    return {
+        instrumentId: instrument.id,
+        instrumentVersion: instrument.version,
+        respondents: respondents.length,
+        thresholds: { ...ITEM_FLAG_THRESHOLDS },
+        scales,
+        items
+    };
+}
+
+const ANALYSIS_STYLES = `
+    body { font-family: 'Inter', Arial, sans-serif; color: #2F4157; max-width: 1000px; margin: 2rem auto; padding: 0 1.5rem; line-height: 1.5; }
+    h1 { font-size: 1.8rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.2rem; margin-top: 2rem; border-bottom: 2px solid #C7D9E5; padding-bottom: 0.25rem; }
+    .meta { color: #5A6F81; font-size: 0.9rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #E8ECF0; }
+    th { background: #E4EDF4; }
+    .flagged td { background: #fef9e7; }
+    .curves { display: flex; flex-wrap: wrap; gap: 1rem; }
+    .curve { flex: 1 1 220px; }
+    .curve h3 { font-size: 0.95rem; margin: 0.5rem 0 0.25rem; }
+    svg { width: 100%; height: auto; border: 1px solid #E8ECF0; border-radius: 8px; }
+    @media print {
+        body { margin: 0; max-width: none; font-size: 10pt; }
+        h2 { break-after: avoid; }
+        tr, .curve { break-inside: avoid; }
+    }
+`;
+
+function formatNumber(value, digits = 2) {
+    return value === null ? 'n/a' : value.toFixed(digits);
+}
+
+// Inline SVG line chart of information against theta.
+function curveSvg(points) {
+    const width = 240;
+    const height = 120;
+    const pad = 20;
+    const maxInformation = Math.max(...points.map(point => point.information), 1e-9);
+    const minTheta = points[0].theta;
+    const spanTheta = points[points.length - 1].theta - minTheta;
+    const x = theta => pad + ((theta - minTheta) / spanTheta) * (width - 2 * pad);
+    const y = information => height - pad - (information / maxInformation) * (height - 2 * pad);
+    const line = points.map(point => `${x(point.theta).toFixed(1)},${y(point.information).toFixed(1)}`).join(' ');
+
+    return `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Test information curve">
+        <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#C7D9E5" />
+        <line x1="${x(0)}" y1="${pad}" x2="${x(0)}" y2="${height - pad}" stroke="#E8ECF0" />
+        <polyline points="${line}" fill="none" stroke="#2F4157" stroke-width="2" />
+        <text x="${pad}" y="${height - 5}" font-size="9" fill="#5A6F81">${minTheta}</text>
+        <text x="${width - pad}" y="${height - 5}" font-size="9" fill="#5A6F81" text-anchor="end">${minTheta + spanTheta}</text>
+        <text x="${pad + 2}" y="${pad - 6}" font-size="9" fill="#5A6F81">max I = ${maxInformation.toFixed(1)}</text>
+    </svg>`;
+}
+
+/**
+ * Builds a self-contained HTML report from the result of `analyzeResponses`.
+ *
+ * @param {object} analysis
+ * @param {object} [meta]
+ * @param {string} [meta.title] - Shown as the heading, e.g. the sample's name.
+ * @param {Date} [meta.generatedAt]
+ * @returns {string} A complete HTML document.
+ */
+export function buildItemAnalysisHtml(analysis, { title = 'Item Analysis Report', generatedAt = new Date() } = {}) {
+    const scaleIds = Object.keys(analysis.scales);
+
+    const scaleRows = scaleIds.map(id => {
+        const scale = analysis.scales[id];
+        return `
+            <tr>
+                <td>${escapeHtml(id)}</td>
+                <td>${scale.items}</td>
+                <td>${scale.completeCases}</td>
+                <td>${formatNumber(scale.alpha)}</td>
+                <td>${scale.scored}</td>
+                <td>${formatNumber(scale.marginalReliability)}</td>
+                <td>${formatNumber(scale.meanTheta)} (${formatNumber(scale.sdTheta)})</td>
+                <td>${formatNumber(scale.meanStandardError)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const curves = scaleIds.map(id => `
+        <div class="curve">
+            <h3>${escapeHtml(id)}</h3>
+            ${curveSvg(analysis.scales[id].informationCurve)}
+        </div>
+    `).join('');
+
+    const itemRows = analysis.items.map(item => {
+        const options = Object.entries(item.options)
+            .map(([key, option]) => `${escapeHtml(key)} (${escapeHtml(option.pole)}): ${formatNumber(option.rate === null ? null : option.rate * 100, 0)}%`)
+            .join('<br>');
+        return `
+            <tr class="${item.flags.length ? 'flagged' : ''}">
+                <td>${item.number}</td>
+                <td>${escapeHtml(item.dichotomy)}</td>
+                <td>${item.facet === null ? '' : escapeHtml(item.facet)}</td>
+                <td>${options}</td>
+                <td>${formatNumber(item.omissionRate === null ? null : item.omissionRate * 100, 0)}%</td>
+                <td>${formatNumber(item.pValue)}</td>
+                <td>${formatNumber(item.itemTotal)}</td>
+                <td>${item.a}</td>
+                <td>${item.b}</td>
+                <td>${item.flags.map(escapeHtml).join(', ')}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const flaggedCount = analysis.items.filter(item => item.flags.length > 0).length;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>${ANALYSIS_STYLES}</style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <p class="meta">${escapeHtml(analysis.instrumentId)} ${escapeHtml(analysis.instrumentVersion)}, ${analysis.respondents} respondent(s). Generated ${escapeHtml(generatedAt.toLocaleString())}</p>
+
+    <h2>Reliability</h2>
+    <table>
+        <thead><tr><th>Dichotomy</th><th>Items</th><th>Complete cases</th><th>Cronbach's alpha</th><th>Scored</th><th>Marginal reliability</th><th>Mean theta (SD)</th><th>RMS SE</th></tr></thead>
+        <tbody>${scaleRows}</tbody>
+    </table>
+    <p class="meta">Alpha uses respondents who answered every item of the dichotomy. Marginal reliability uses EAP estimates and allows omissions.</p>
+
+    <h2>Test Information</h2>
+    <div class="curves">${curves}</div>
+    <p class="meta">From the item parameter matrix; higher information means a smaller standard error at that theta.</p>
+
+    <h2>Items</h2>
+    <p>${flaggedCount} item(s) flagged: corrected item-total correlation below ${analysis.thresholds.minItemTotal}, or first-pole endorsement outside ${analysis.thresholds.minEndorsement} to ${analysis.thresholds.maxEndorsement}.</p>
+    <table>
+        <thead><tr><th>#</th><th>Dichotomy</th><th>Facet</th><th>Endorsement</th><th>Omitted</th><th>p (first pole)</th><th>Item-total r</th><th>a</th><th>b</th><th>Flags</th></tr></thead>
+        <tbody>${itemRows}</tbody>
+    </table>
+</body>
+</html>`;
+}
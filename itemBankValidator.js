@@ -0,0 +1,190 @@
+/**
+ * itemBankValidator.js: Consistency checks between an item bank and its parameter matrix
+ *
+ * The items (questions.json) and their 2PL parameters (itemParameterMatrix.js) are kept
+ * in separate files that must describe the same items in the same order: the matrix is
+ * keyed by zero-based item index, and the scorer trusts each option's `scoreKey`. Nothing
+ * in the scoring path notices when they drift apart; a single swapped scoreKey silently
+ * flips every score on that item. `validateItemBank` looks for such problems.
+ *
+ * Checks (errors unless noted):
+ * - `missing-item` / `duplicate-item` / `item-order`: item numbers must run 1..N without
+ *   gaps or repeats, in array order, since the matrix is keyed by position.
+ * - `missing-parameters` / `orphan-parameters`: every item has a matrix entry and vice versa.
+ * - `dichotomy-mismatch`: the item's `dichotomy` equals the matrix entry's.
+ * - `unknown-dichotomy`: the item's dichotomy is one of the instrument's scales.
+ * - `option-pole` / `score-key`: each item has two options on opposite poles of its scale,
+ *   and `scoreKey` is 1 exactly for the first pole (E, S, T or J on Form M).
+ * - `discrimination` / `difficulty`: `a` is a finite positive number and `b` is finite.
+ * - `missing-text`: items need question text, except Part II word pairs, which are shown
+ *   under a shared prompt and need text on both options instead.
+ * - `missing-facet` (warning): the item has no facet, so it is left out of facet scores.
+ *
+ * `validateItemTranslation` checks a per-locale item text file (see i18n.js) against the
+ * same item bank:
+ * - `translation-instrument`: the file names a different instrument.
+ * - `translation-unknown-item` / `translation-option`: entries and option keys must exist in
+ *   the item bank, since text is matched by item number and option letter.
+ * - `translation-missing` (warning): an item or option has no translated text and will be
+ *   shown in the original language.
+ */
+
+import { getItems } from './instruments.js';
+
+/**
+ * Validates an instrument's items against its parameter matrix and scale definitions.
+ *
+ * @param {object} instrument - Definition from instruments.js.
+ * @param {object} itemBankData - The parsed item bank file (e.g. questions.json).
+ * @returns {{ valid: boolean, issues: Array<{ severity: string, code: string, item: number|null, message: string }> }}
+ *   `valid` is false if any issue has severity 'error'. `item` is the question number,
+ *   or the one-based position for matrix entries without an item.
+ */
+export function validateItemBank(instrument, itemBankData) {
+    const issues = [];
+    const report = (severity, code, item, message) => issues.push({ severity, code, item, message });
+    const error = (code, item, message) => report('error', code, item, message);
+
+    const items = getItems(instrument, itemBankData);
+    const parameters = instrument.itemParameters;
+    const scalesById = new Map(instrument.scales.map(scale => [scale.id, scale]));
+
+    // Numbering: 1..N, once each, in array order.
+    const seenNumbers = new Set();
+    items.forEach((item, index) => {
+        if (seenNumbers.has(item.number)) {
+            error('duplicate-item', item.number, `Item ${item.number} appears more than once.`);
+        }
+        seenNumbers.add(item.number);
+        if (item.number !== index + 1) {
+            error('item-order', item.number, `Item ${item.number} is at position ${index + 1}; the parameter matrix is keyed by position.`);
+        }
+    });
+    for (let number = 1; number <= items.length; number++) {
+        if (!seenNumbers.has(number)) {
+            error('missing-item', number, `Item ${number} is missing from the item bank.`);
+        }
+    }
+
+    // Parameter matrix entries without an item.
+    Object.keys(parameters).forEach(key => {
+        const index = Number(key);
+        if (!Number.isInteger(index) || index < 0 || index >= items.length) {
+            error('orphan-parameters', Number.isInteger(index) ? index + 1 : null,
+                `Parameter matrix entry "${key}" does not correspond to any item.`);
+        }
+    });
+
+    items.forEach((item, index) => {
+        const number = item.number;
+        const scale = scalesById.get(item.dichotomy);
+        const entry = parameters[index];
+
+        if (!scale) {
+            error('unknown-dichotomy', number, `Item ${number} has dichotomy "${item.dichotomy}", which is not a scale of ${instrument.id}.`);
+        }
+
+        if (!entry) {
+            error('missing-parameters', number, `Item ${number} (index ${index}) has no entry in the parameter matrix.`);
+        } else {
+            if (entry.dichotomy !== item.dichotomy) {
+                error('dichotomy-mismatch', number,
+                    `Item ${number} is ${item.dichotomy} in the item bank but ${entry.dichotomy} in the parameter matrix.`);
+            }
+            const { a, b } = entry.params || {};
+            if (!Number.isFinite(a) || a <= 0) {
+                error('discrimination', number, `Item ${number} has discrimination a = ${a}; it must be a positive number.`);
+            }
+            if (!Number.isFinite(b)) {
+                error('difficulty', number, `Item ${number} has difficulty b = ${b}; it must be a finite number.`);
+            }
+        }
+
+        const options = Object.entries(item.options || {});
+        if (options.length !== 2) {
+            error('option-pole', number, `Item ${number} has ${options.length} options; two are expected.`);
+        } else if (scale) {
+            const poles = options.map(([, option]) => option.pole);
+            if (poles.some(pole => !scale.poles.includes(pole)) || poles[0] === poles[1]) {
+                error('option-pole', number,
+                    `Item ${number} options have poles ${poles.join('/')}; expected one each of ${scale.poles.join('/')}.`);
+            }
+            options.forEach(([key, option]) => {
+                const expected = option.pole === scale.poles[0] ? 1 : 0;
+                if (scale.poles.includes(option.pole) && option.scoreKey !== expected) {
+                    error('score-key', number,
+                        `Item ${number} option ${key} (${option.pole}) has scoreKey ${option.scoreKey}; expected ${expected}.`);
+                }
+            });
+        }
+
+        if (item.part === 'II') {
+            options.forEach(([key, option]) => {
+                if (!option.text || !option.text.trim()) {
+                    error('missing-text', number, `Part II item ${number} option ${key} has no word.`);
+                }
+            });
+        } else if (!item.question || !item.question.trim()) {
+            error('missing-text', number, `Item ${number} (Part ${item.part}) has no question text.`);
+        }
+
+        if (!item.facet) {
+            report('warning', 'missing-facet', number, `Item ${number} has no facet and is left out of facet scores.`);
+        }
+    });
+
+    return { valid: !issues.some(issue => issue.severity === 'error'), issues };
+}
+
+/**
+ * Validates a per-locale item text file against an instrument's item bank.
+ *
+ * @param {object} instrument - Definition from instruments.js.
+ * @param {object} itemBankData - The parsed item bank file (e.g. questions.json).
+ * @param {object} translation - The parsed translation file (e.g. questions.fr.json).
+ * @returns {{ valid: boolean, issues: Array<{ severity: string, code: string, item: number|null, message: string }> }}
+ *   In the same form as `validateItemBank`.
+ */
+export function validateItemTranslation(instrument, itemBankData, translation) {
+    const issues = [];
+    const report = (severity, code, item, message) => issues.push({ severity, code, item, message });
+
+    const items = getItems(instrument, itemBankData);
+    const itemsByNumber = new Map(items.map(item => [String(item.number), item]));
+    const entries = (translation && translation.items) || {};
+
+    if (translation && translation.instrument && translation.instrument !== instrument.id) {
+        report('error', 'translation-instrument', null, `The translation is for "${translation.instrument}", not ${instrument.id}.`);
+    }
+
+    Object.entries(entries).forEach(([key, entry]) => {
+        const item = itemsByNumber.get(key);
+        if (!item) {
+            report('error', 'translation-unknown-item', Number(key) || null, `Translated item "${key}" is not in the item bank.`);
+            return;
+        }
+        Object.keys((entry && entry.options) || {}).forEach(optionKey => {
+            if (!item.options[optionKey]) {
+                report('error', 'translation-option', item.number, `Item ${item.number} has no option ${optionKey} to translate.`);
+            }
+        });
+    });
+
+    items.forEach(item => {
+        const entry = entries[item.number];
+        if (!entry) {
+            report('warning', 'translation-missing', item.number, `Item ${item.number} is not translated.`);
+            return;
+        }
+        if (item.part !== 'II' && !entry.question) {
+            report('warning', 'translation-missing', item.number, `Item ${item.number} has no translated question text.`);
+        }
+        Object.keys(item.options).forEach(optionKey => {
+            if (!entry.options || !entry.options[optionKey]) {
+                report('warning', 'translation-missing', item.number, `Item ${item.number} option ${optionKey} is not translated.`);
+            }
+        });
+    });
+
+    return { valid: !issues.some(issue => issue.severity === 'error'), issues };
+}
@@ -0,0 +1,145 @@
+/**
+ * longitudinal.js: One respondent's results across repeated administrations
+ *
+ * Compares two or more exported result records (see resultRecord.js) of the same person,
+ * e.g. a client re-tested months apart, so that a coach can tell real change from the
+ * noise expected in slight preferences:
+ *
+ * 1.  **Administrations.** Each record is re-scored from its responses with `scoreRecord`
+ *     (resultRecord.js), and the records are put in the order they were completed
+ *     (records without a completion time keep their place at the end).
+ * 2.  **Changes.** Each administration is compared with the previous one. Per dichotomy:
+ *     the reported pole and PCI before and after, whether the pole flipped, the change in
+ *     theta (PCI has no sign, so only theta tells how far a flip went), and the reliable
+ *     change index RCI = (theta2 - theta1) / sqrt(SE1^2 + SE2^2) (Jacobson & Truax, 1991,
+ *     with the scorer's standard errors). |RCI| >= 1.96 marks a change larger than the
+ *     measurement error of the two administrations can explain (p < .05, two-sided).
+ *     A flip without a reliable change is most likely noise around the midpoint.
+ * 3.  **Items.** The items answered in both administrations with a different choice, and
+ *     the share of items answered the same way. Items answered in only one of them
+ *     (omitted, or not served in adaptive mode) are counted separately.
+ *
+ * The records are not checked to belong to the same person; nothing in a record says who
+ * the respondent is.
+ */
+
+import { getInstrument, getItems } from './instruments.js';
+import { scoreRecord } from './resultRecord.js';
+
+// |RCI| at or above this value is a reliable change (two-sided p < .05).
+export const RELIABLE_CHANGE_Z = 1.96;
+
+function round(value, digits = 2) {
+    return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+function scoreAdministration({ label, record }, allQuestions, instrument) {
+    const { estimator, dichotomyResults, reportedType, bestFitType } = scoreRecord(record, allQuestions, instrument);
+    const scaleIds = instrument.scales.map(scale => scale.id);
+
+    return {
+        label,
+        completedAt: record.timestamps.completedAt,
+        mode: record.administration.mode,
+        estimator,
+        reportedType,
+        bestFitType,
+        responses: record.responses,
+        dichotomies: Object.fromEntries(scaleIds.map(key => {
+            const { preference, pci, theta, standardError } = dichotomyResults[key];
+            return [key, { preference, pci, theta, standardError }];
+        }))
+    };
+}
+
+function compareDichotomy(id, before, after) {
+    const thetaChange = after.theta - before.theta;
+    const reliable = before.standardError !== null && after.standardError !== null;
+    const standardErrorOfDifference = reliable ? Math.sqrt(before.standardError ** 2 + after.standardError ** 2) : null;
+    const reliableChangeIndex = reliable && standardErrorOfDifference > 0 ? thetaChange / standardErrorOfDifference : null;
+
+    return {
+        id,
+        from: { preference: before.preference, pci: before.pci },
+        to: { preference: after.preference, pci: after.pci },
+        flipped: before.preference !== after.preference,
+        thetaChange: round(thetaChange),
+        standardErrorOfDifference: round(standardErrorOfDifference),
+        reliableChangeIndex: round(reliableChangeIndex),
+        reliable: reliableChangeIndex !== null && Math.abs(reliableChangeIndex) >= RELIABLE_CHANGE_Z
+    };
+}
+
+function compareItems(before, after, questions) {
+    const changed = [];
+    let same = 0;
+    let unmatched = 0;
+
+    for (const question of questions) {
+        const from = before.responses[question.number] || null;
+        const to = after.responses[question.number] || null;
+        if (from === null && to === null) continue;
+        if (from === null || to === null) {
+            unmatched++;
+        } else if (from === to) {
+            same++;
+        } else {
+            changed.push({
+                number: question.number,
+                dichotomy: question.dichotomy || null,
+                from: { choice: from, pole: question.options[from] ? question.options[from].pole : null },
+                to: { choice: to, pole: question.options[to] ? question.options[to].pole : null }
+            });
+        }
+    }
+
+    const answeredInBoth = same + changed.length;
+    return {
+        changed,
+        answeredInBoth,
+        agreement: answeredInBoth === 0 ? null : round((same / answeredInBoth) * 100, 1),
+        unmatched
+    };
+}
+
+/**
+ * Compares the administrations of one respondent.
+ *
+ * @param {Array<{ label: string, record: object }>} administrations - Validated records (see
+ *   `parseResultFile` in resultRecord.js) with a label for each, e.g. the file name.
+ * @param {object} allQuestions - The parsed item bank file (e.g. questions.json).
+ * @param {object} [options]
+ * @param {object} [options.instrument] - Definition from instruments.js; defaults to Form M.
+ * @returns {object} `{ administrations, changes }`: the scored administrations in order, and
+ *   per consecutive pair `{ from, to, dichotomies, items }` with `from`/`to` as indices.
+ */
+export function compareAdministrations(administrations, allQuestions, options = {}) {
+    const instrument = options.instrument || getInstrument();
+    const questions = getItems(instrument, allQuestions);
+
+    const scored = administrations
+        .map(administration => scoreAdministration(administration, allQuestions, instrument))
+        .map((administration, index) => ({ administration, index }))
+        .sort((x, y) => {
+            const [a, b] = [x.administration.completedAt, y.administration.completedAt];
+            if (a && b && a !== b) return a < b ? -1 : 1;
+            if (Boolean(a) !== Boolean(b)) return a ? -1 : 1;
+            return x.index - y.index;
+        })
+        .map(({ administration }) => administration);
+
+    const changes = scored.slice(1).map((after, position) => {
+        const before = scored[position];
+        return {
+            from: position,
+            to: position + 1,
+            dichotomies: instrument.scales.map(scale => compareDichotomy(scale.id, before.dichotomies[scale.id], after.dichotomies[scale.id])),
+            items: compareItems(before, after, questions)
+        };
+    });
+
+    return {
+        administrations: scored.map(({ responses, ...administration }) => administration),
+        changes
+    };
+}
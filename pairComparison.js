@@ -0,0 +1,90 @@
+/**
+ * pairComparison.js: Two people's results side by side, for pair coaching
+ *
+ * Lays out two result records (see resultRecord.js) of different people, e.g. a manager and
+ * a report or two co-founders, per dichotomy:
+ *
+ * 1.  **People.** Each record is re-scored from its responses with `scoreRecord`
+ *     (resultRecord.js), and its facets are scored. A person's pole is their best-fit pole
+ *     when they verified their type and the reported pole otherwise (`verified` says
+ *     which); PCI and PCC are always reported.
+ * 2.  **Dichotomies.** Whether the two share a pole or prefer opposite ones. For an opposite
+ *     preference, `holders` maps each pole to the person (0 or 1) who prefers it, so that
+ *     the communication and conflict notes can be worded around the two of them.
+ * 3.  **Facets.** Each person's facet scores for the dichotomy (null for records without
+ *     enough answers to score a facet). `opposite` marks a facet on which both lean clearly
+ *     (outside the midzone) but to different sides; even a shared preference can hide one.
+ */
+
+import { calculateFacetResults } from './scorer.js';
+import { getInstrument } from './instruments.js';
+import { scoreRecord } from './resultRecord.js';
+
+function scorePerson({ label, record }, allQuestions, instrument) {
+    const { answers, dichotomyResults, reportedType, bestFitType, verified } = scoreRecord(record, allQuestions, instrument);
+    const { facetResults } = calculateFacetResults(answers, allQuestions, { dichotomyResults, instrument });
+
+    return {
+        label,
+        reportedType,
+        bestFitType,
+        type: bestFitType || reportedType,
+        verified,
+        dichotomyResults,
+        facetResults
+    };
+}
+
+function compareFacets(id, people) {
+    const facetNames = Object.keys(people[0].facetResults).filter(facet => people[0].facetResults[facet].dichotomyName === id);
+
+    return facetNames.map(facet => {
+        const scores = people.map(person => {
+            const result = person.facetResults[facet];
+            return result ? { score: result.score, pole: result.pole, poleLetter: result.poleLetter, midzone: result.midzone } : null;
+        });
+        const [first, second] = scores;
+        const leaning = scores.every(score => score && score.score !== null && !score.midzone);
+        return { facet, people: scores, opposite: leaning && first.poleLetter !== second.poleLetter };
+    });
+}
+
+/**
+ * Compares two people's results.
+ *
+ * @param {Array<{ label: string, record: object }>} pair - Two validated records (see
+ *   `parseResultFile` in resultRecord.js) with a label for each, e.g. the person's name.
+ * @param {object} allQuestions - The parsed item bank file (e.g. questions.json).
+ * @param {object} [options]
+ * @param {object} [options.instrument] - Definition from instruments.js; defaults to Form M.
+ * @returns {object} `{ people, dichotomies }`: per person `{ label, reportedType, bestFitType,
+ *   type, verified }`, and per dichotomy in scale order `{ id, shared, holders, people, facets }`
+ *   with `people` as `{ pole, pci, pcc }` per person and `holders` null for a shared pole.
+ */
+export function comparePair(pair, allQuestions, options = {}) {
+    if (pair.length !== 2) {
+        throw new Error(`A pair comparison needs exactly two records, not ${pair.length}.`);
+    }
+    const instrument = options.instrument || getInstrument();
+    const people = pair.map(person => scorePerson(person, allQuestions, instrument));
+
+    const dichotomies = instrument.scales.map((scale, position) => {
+        const poles = people.map(person => person.type[position]);
+        const shared = poles[0] === poles[1];
+        return {
+            id: scale.id,
+            shared,
+            holders: shared ? null : { [poles[0]]: 0, [poles[1]]: 1 },
+            people: people.map((person, index) => {
+                const { pci, pcc } = person.dichotomyResults[scale.id];
+                return { pole: poles[index], pci, pcc };
+            }),
+            facets: compareFacets(scale.id, people)
+        };
+    });
+
+    return {
+        people: people.map(({ dichotomyResults, facetResults, ...person }) => person),
+        dichotomies
+    };
+}
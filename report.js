@@ -0,0 +1,213 @@
+/**
+ * report.js: Printable, self-contained results report
+ *
+ * Builds a standalone HTML document (inline styles, no external assets) that a
+ * client can keep after a feedback session. It sets the reported type from the
+ * scorer next to the best-fit type chosen during verification and, per dichotomy,
+ * lists the PCI/PCC, theta with its confidence interval, whether the verified pole
+ * disagrees with the reported one, and the description of the chosen pole. When
+ * there is one, the profile of the best-fit type follows (see typeProfiles.js), with
+ * points that rest on a slight reported preference marked.
+ * The embedded print stylesheet lays the document out for A4/Letter paper.
+ *
+ * Fixed text comes from the `report` section of the active locale bundle (see i18n.js),
+ * and the document takes the locale's language and direction, so that it matches the
+ * descriptions and profile passed in.
+ */
+
+import { downloadFile } from './download.js';
+
+const REPORT_STYLES = `
+    body { font-family: 'Inter', Arial, sans-serif; color: #2F4157; max-width: 800px; margin: 2rem auto; padding: 0 1.5rem; line-height: 1.5; }
+    h1 { font-size: 1.8rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.2rem; margin-top: 2rem; border-bottom: 2px solid #C7D9E5; padding-bottom: 0.25rem; }
+    .meta { color: #5A6F81; font-size: 0.9rem; }
+    .types { display: flex; gap: 1.5rem; margin: 1.5rem 0; }
+    .type-box { flex: 1; border: 1px solid #C7D9E5; border-radius: 12px; padding: 1rem; text-align: center; }
+    .type-box .code { font-size: 2.5rem; font-weight: 700; letter-spacing: 0.1em; }
+    .type-box .label { font-size: 0.85rem; color: #5A6F81; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { text-align: start; padding: 0.4rem 0.5rem; border-bottom: 1px solid #E8ECF0; vertical-align: top; }
+    th { background: #E4EDF4; }
+    .changed { color: #8C694A; font-weight: 600; }
+    .note { background: #fef9e7; border-inline-start: 4px solid #E0C068; padding: 0.75rem 1rem; font-size: 0.9rem; }
+    .description h3 { font-size: 1rem; margin-bottom: 0.25rem; }
+    .description p { margin-top: 0; }
+    .profile h3 { font-size: 1rem; margin-bottom: 0.25rem; }
+    .profile ul { margin-top: 0; }
+    .profile .slight::marker { content: '\\25C6  '; color: #B88B5D; }
+    .caveat { color: #5A6F81; font-size: 0.85rem; }
+    @media print {
+        body { margin: 0; max-width: none; font-size: 11pt; }
+        h2 { break-after: avoid; }
+        table, .description, .profile, .type-box { break-inside: avoid; }
+    }
+`;
+
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatInterval(result, t) {
+    if (!result.confidenceIntervals) return t('report.notAvailable');
+    const [low, high] = result.confidenceIntervals['90'];
+    return t('report.intervalRange', { low, high });
+}
+
+// A label from a locale section (e.g. clarity categories), or the label itself when it has no translation.
+function translateLabel(t, prefix, label) {
+    return t.has(`${prefix}.${label}`) ? t(`${prefix}.${label}`) : label;
+}
+
+/**
+ * Builds the report document.
+ *
+ * @param {object} data
+ * @param {object} data.reportedType - `dichotomyResults` from `calculateResults`.
+ * @param {object} data.bestFitType - Verified pole per dichotomy, e.g. { 'E-I': 'I', ... }.
+ * @param {string[]} data.dichotomyOrder - Display order of the dichotomies.
+ * @param {object} data.descriptions - Title and text per pole letter (VERIFICATION_DESCRIPTIONS).
+ * @param {number} data.omissionsCount - Number of questions served but left unanswered.
+ * @param {object} [data.facetResults] - `facetResults` from `calculateFacetResults`.
+ * @param {object} [data.profile] - Profile of the best-fit type from `buildTypeProfile` (typeProfiles.js).
+ * @param {function} data.t - Translator from `loadTranslator` (i18n.js).
+ * @param {object} [data.locale] - `{ code, dir }` of the report's language; defaults to `t.locale`.
+ * @param {Date} [data.generatedAt]
+ * @returns {string} A complete HTML document.
+ */
+export function buildReportHtml({ reportedType, bestFitType, dichotomyOrder, descriptions, omissionsCount, facetResults, profile, t, locale = t.locale, generatedAt = new Date() }) {
+    const reportedCode = dichotomyOrder.map(key => reportedType[key].preference).join('');
+    const bestFitCode = dichotomyOrder.map(key => bestFitType[key]).join('');
+    const disagreements = dichotomyOrder.filter(key => reportedType[key].preference !== bestFitType[key]);
+
+    const dichotomyRows = dichotomyOrder.map(key => {
+        const result = reportedType[key];
+        const changed = result.preference !== bestFitType[key];
+        return `
+            <tr>
+                <td>${escapeHtml(key)}</td>
+                <td>${escapeHtml(result.preference)}</td>
+                <td>${result.pci} (${escapeHtml(translateLabel(t, 'clarity', result.pcc))})</td>
+                <td>${result.theta}</td>
+                <td>${escapeHtml(formatInterval(result, t))}</td>
+                <td class="${changed ? 'changed' : ''}">${escapeHtml(bestFitType[key])}${changed ? ` ${escapeHtml(t('report.changed'))}` : ''}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const descriptionSections = dichotomyOrder.map(key => {
+        const pole = bestFitType[key];
+        const info = descriptions[pole];
+        return `
+            <div class="description">
+                <h3>${escapeHtml(info.title)}</h3>
+                <p>${escapeHtml(info.text)}</p>
+            </div>
+        `;
+    }).join('');
+
+    const disagreementNote = disagreements.length > 0
+        ? `<p class="note">${t('report.disagreement', { dichotomies: disagreements.map(escapeHtml).join(', ') })}</p>`
+        : `<p>${t('report.agreement')}</p>`;
+
+    let facetSection = '';
+    if (facetResults && Object.keys(facetResults).length > 0) {
+        const facetRows = Object.values(facetResults).map(facet => `
+            <tr>
+                <td>${escapeHtml(facet.facet.split(' / ').map(pole => translateLabel(t, 'facets.poles', pole)).join(' / '))}</td>
+                <td>${facet.score === null ? escapeHtml(t('facets.notScored')) : `${facet.score > 0 ? '+' : ''}${facet.score}`}</td>
+                <td>${facet.pole === null ? '' : escapeHtml(translateLabel(t, 'facets.poles', facet.pole))}${facet.outOfPreference ? ` <span class="changed">${escapeHtml(t('report.outOfPreference'))}</span>` : ''}</td>
+            </tr>
+        `).join('');
+        facetSection = `
+            <h2>${t('report.facetsHeading')}</h2>
+            <table>
+                <thead><tr><th>${t('report.facet')}</th><th>${t('report.facetScore')}</th><th>${t('report.leaning')}</th></tr></thead>
+                <tbody>${facetRows}</tbody>
+            </table>
+        `;
+    }
+
+    let profileSection = '';
+    if (profile) {
+        // Named as on the final screen (`dichotomyLabel` in app.js), e.g. "Extraversion / Introversion".
+        const dichotomyLabel = key => key.split('-').map(pole => descriptions[pole].title.split(' ')[0]).join(' / ');
+        const sections = profile.sections.map(section => {
+            const body = section.id === 'overview'
+                ? `<p>${escapeHtml(section.text)}</p>`
+                : `<ul>${section.items.map(item => `<li class="${item.caveats.length > 0 ? 'slight' : ''}">${escapeHtml(item.text)}</li>`).join('')}</ul>`;
+            const caveat = section.caveats.length === 0 ? '' : `
+                <p class="caveat">${t(section.id === 'overview' ? 'profile.overviewCaveat' : 'profile.caveat', { preferences: escapeHtml(section.caveats.map(dichotomyLabel).join(', ')) })}</p>
+            `;
+            return `
+                <div class="profile">
+                    <h3>${t(`profile.sections.${section.id}`)}</h3>
+                    ${body}
+                    ${caveat}
+                </div>
+            `;
+        }).join('');
+        profileSection = `
+            <h2>${t('profile.heading')} (${escapeHtml(profile.type)})</h2>
+            ${sections}
+        `;
+    }
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale.code)}" dir="${escapeHtml(locale.dir || 'ltr')}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(t('report.title', { type: bestFitCode }))}</title>
+    <style>${REPORT_STYLES}</style>
+</head>
+<body>
+    <h1>${t('report.heading')}</h1>
+    <p class="meta">${escapeHtml(t('report.generated', { date: generatedAt.toLocaleString(locale.code) }))}</p>
+
+    <div class="types">
+        <div class="type-box"><div class="code">${escapeHtml(reportedCode)}</div><div class="label">${t('report.reportedType')}</div></div>
+        <div class="type-box"><div class="code">${escapeHtml(bestFitCode)}</div><div class="label">${t('report.bestFitType')}</div></div>
+    </div>
+    ${disagreementNote}
+
+    <h2>${t('report.clarityHeading')}</h2>
+    <table>
+        <thead><tr><th>${t('report.dichotomy')}</th><th>${t('report.reported')}</th><th>${t('report.pci')}</th><th>${t('report.theta')}</th><th>${t('report.interval')}</th><th>${t('report.bestFit')}</th></tr></thead>
+        <tbody>${dichotomyRows}</tbody>
+    </table>
+    <p class="meta">${t('report.omissions', { count: omissionsCount })}</p>
+    ${facetSection}
+
+    <h2>${t('report.preferencesHeading')}</h2>
+    ${descriptionSections}
+    ${profileSection}
+
+    <p class="meta">${t('report.disclaimer')}</p>
+</body>
+</html>`;
+}
+
+/**
+ * Offers the report as a downloadable .html file.
+ */
+export function downloadReport(html, fileName) {
+    downloadFile(html, fileName, 'text/html');
+}
+
+/**
+ * Opens the report in a new window and brings up the print dialog.
+ */
+export function printReport(html) {
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) return false; // Blocked by a pop-up blocker
+    reportWindow.document.open();
+    reportWindow.document.write(html);
+    reportWindow.document.close();
+    reportWindow.focus();
+    reportWindow.print();
+    return true;
+}
@@ -0,0 +1,144 @@
+/**
+ * respondentFiles.mjs: Reading answer files for the Node command-line tools
+ *
+ * Shared by batchScore.mjs and the analysis commands so that all accept the same inputs:
+ * - CSV with a header row. Item columns are named by question number, either `q1`..`q93`
+ *   or `1`..`93`; cells hold A or B (any case) and are left blank for omissions. An `id`
+ *   (or `respondent_id`) column names each respondent; otherwise `<file>:<line>` is used.
+ *   CSV exported by the app (resultRecord.js) is accepted as is.
+ * - JSON holding an array of respondents, each either `{ "id": ..., "answers": { "1": "A", ... } }`
+ *   or an exported result record (with `responses`), or a single such object.
+ * The file type is taken from the extension (.json, anything else is CSV). Other CSV
+ * columns and other top-level JSON properties (e.g. a grouping variable) are kept as `fields`.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseCsv } from './csv.js';
+
+const ID_COLUMNS = ['id', 'respondent_id'];
+
+/**
+ * Converts answers keyed by question number into the scorer's input, collecting problems.
+ */
+function toScorerAnswers(rawAnswers, questionsByNumber) {
+    const answers = {};
+    const problems = [];
+
+    for (const [key, value] of Object.entries(rawAnswers)) {
+        const number = Number(String(key).replace(/^q/i, ''));
+        const question = questionsByNumber.get(number);
+        const choice = value === null || value === undefined ? '' : String(value).trim().toUpperCase();
+
+        if (!question) {
+            problems.push(`unknown question "${key}"`);
+        } else if (choice === '') {
+            continue; // Omitted
+        } else if (!question.options[choice]) {
+            problems.push(`question ${number} has invalid answer "${value}"`);
+        } else {
+            answers[number] = { choice };
+        }
+    }
+
+    return { answers, problems };
+}
+
+function readCsvRespondents(file, text) {
+    const { columns, records, errors } = parseCsv(text);
+    const itemColumns = columns.filter(column => /^q?\d+$/i.test(column));
+    const idColumn = columns.find(column => ID_COLUMNS.includes(column.toLowerCase()));
+    const fieldColumns = columns.filter(column => !itemColumns.includes(column));
+
+    if (itemColumns.length === 0) {
+        throw new Error('no item columns (expected q1..q93 or 1..93) in the header');
+    }
+
+    const rows = records.map(({ values, line }) => {
+        const rawAnswers = {};
+        itemColumns.forEach(column => {
+            rawAnswers[column] = values[column];
+        });
+        const fields = {};
+        fieldColumns.forEach(column => {
+            fields[column] = values[column];
+        });
+        return {
+            id: idColumn && values[idColumn].trim() ? values[idColumn].trim() : `${file}:${line}`,
+            location: `${file}:${line}`,
+            line,
+            rawAnswers,
+            fields
+        };
+    });
+
+    // In line order with the rows that parsed, so that problems are reported top to bottom.
+    const malformed = errors.map(({ line, message }) => ({ location: `${file}:${line}`, line, problem: message }));
+    return [...rows, ...malformed].sort((a, b) => a.line - b.line);
+}
+
+function readJsonRespondents(file, text) {
+    const parsed = JSON.parse(text);
+    const entries = Array.isArray(parsed) ? parsed : [parsed];
+
+    return entries.map((entry, index) => {
+        const location = `${file}:entry ${index + 1}`;
+        const rawAnswers = entry && (entry.answers || entry.responses);
+        const fields = {};
+        Object.entries(entry && typeof entry === 'object' ? entry : {}).forEach(([key, value]) => {
+            if (value === null || typeof value !== 'object') fields[key] = value;
+        });
+        return {
+            id: entry && entry.id !== undefined ? String(entry.id) : location,
+            location,
+            rawAnswers: rawAnswers && typeof rawAnswers === 'object' ? rawAnswers : null,
+            fields
+        };
+    });
+}
+
+/**
+ * Reads every respondent from the given files.
+ *
+ * @param {string[]} files
+ * @param {Map<number, object>} questionsByNumber - Items of the active instrument by question number.
+ * @param {function(string, string): void} report - Called with (location, problem) for each
+ *   unreadable file and malformed row; those are skipped.
+ * @returns {Array<{ id: string, location: string, answers: object, fields: object }>} Respondents
+ *   with answers in the scorer's input format and their other columns or properties.
+ */
+export function readRespondentFiles(files, questionsByNumber, report) {
+    const respondents = [];
+
+    for (const file of files) {
+        let entries;
+        try {
+            const text = fs.readFileSync(file, 'utf8');
+            entries = path.extname(file).toLowerCase() === '.json'
+                ? readJsonRespondents(file, text)
+                : readCsvRespondents(file, text);
+        } catch (error) {
+            report(file, error.message);
+            continue;
+        }
+
+        for (const entry of entries) {
+            if (entry.problem) {
+                report(entry.location, entry.problem);
+                continue;
+            }
+            if (!entry.rawAnswers) {
+                report(entry.location, 'no "answers" object');
+                continue;
+            }
+            const { answers, problems } = toScorerAnswers(entry.rawAnswers, questionsByNumber);
+            if (problems.length > 0) {
+                report(entry.location, problems.join('; '));
+                continue;
+            }
+            respondents.push({ id: entry.id, location: entry.location, answers, fields: entry.fields });
+        }
+    }
+
+    return respondents;
+}
@@ -0,0 +1,383 @@
+/**
+ * resultRecord.js: Machine-readable result records (JSON and CSV)
+ *
+ * A result record is the full, archivable account of one administration: every item
+ * response keyed by question `number`, the scorer output, the best-fit choices made
+ * during verification, timestamps and the instrument version. The JSON form is
+ * described by `resultRecord.schema.json`; the CSV form flattens one record per row
+ * so that batches can be opened in a spreadsheet or statistics package.
+ *
+ * JSON record (schemaVersion 2):
+ *
+ *     {
+ *       "schemaVersion": 2,
+ *       "instrument": { "id": "MBTI_Form_M", "version": "1.0.0", "itemCount": 93 }, // from instruments.js
+ *       "timestamps": { "startedAt": ISO-8601 | null, "completedAt": ISO-8601 | null, "exportedAt": ISO-8601 },
+ *       "administration": { "mode": "linear" | "adaptive", "locale": "fr", "sequence": [question numbers served], "omissions": 0,
+ *                           "participant": { "sessionId": "K7P2QX", "code": "M3XW9A" } },  // facilitated sessions only
+ *       "responses": { "1": "A", "2": null, ... },                 // every item, null when omitted or not served
+ *       "scores": { "estimator": "MLE", "dichotomies": { "E-I": {...}, ... }, "facets": { ... } },
+ *       "validity": { "flagged": false, "flags": [...] } | null,     // from validity.js
+ *       "telemetry": { "1": { "timeToFirstAnswer": 2150, "answerChanges": 0, "revisits": 1, "skipped": false }, ... },
+ *       "bestFit": { "E-I": "I", "S-N": "N", "T-F": "F", "J-P": "P" }, // empty until verification is finished
+ *       "verification": { "steps": {...}, "wholeType": {...} } | null, // how the best fit was chosen; see bestFit.js
+ *       "reportedType": "ISFP",
+ *       "bestFitType": "INFP" | null
+ *     }
+ *
+ * The dichotomy and facet entries are the objects returned by `calculateResults` and
+ * `calculateFacetResults` in scorer.js. `administration.locale` is the language the
+ * items were presented in (see i18n.js). `administration.participant` tags records
+ * made from a facilitator's start link (see facilitator.js). Telemetry (see telemetry.js) covers the items
+ * that were served. On import only the responses, administration, best-fit choices and
+ * verification log are trusted; scores are always recomputed from the responses.
+ *
+ * Older versions the importer accepts, brought up to the current shape on import:
+ *
+ * -   **schemaVersion 1:** `administration.locale`, `administration.participant` and
+ *     `verification` were added to it without a version change, so a version 1 record may
+ *     lack any of them. A missing locale is read as "en" (records made before translations
+ *     existed were all English) and a missing verification log as null; the participant
+ *     tag stays absent, as it is for records made outside a facilitated session.
+ */
+
+import { toCsv, parseCsv } from './csv.js';
+import { getInstrument } from './instruments.js';
+import { calculateResults, SUPPORTED_ESTIMATORS } from './scorer.js';
+
+export const RECORD_SCHEMA_VERSION = 2;
+
+// Versions `parseResultFile` reads; see "Older versions" above.
+const SUPPORTED_SCHEMA_VERSIONS = [1, RECORD_SCHEMA_VERSION];
+
+function scaleIds(instrument) {
+    return instrument.scales.map(scale => scale.id);
+}
+
+/**
+ * Builds a result record from the app state.
+ *
+ * @param {object} data
+ * @param {object[]} data.questions - The instrument's item array (MBTI_Form_M for Form M).
+ * @param {(object|null)[]} data.userAnswers - Answers by zero-based index ({ choice } or null).
+ * @param {number[]} data.questionSequence - Zero-based indices of the items served, in order.
+ * @param {boolean} data.adaptiveMode
+ * @param {object} data.dichotomyResults - From `calculateResults`.
+ * @param {string} data.estimator - The estimator reported by `calculateResults`.
+ * @param {object} [data.facetResults] - From `calculateFacetResults`.
+ * @param {object} [data.validity] - From `assessValidity`.
+ * @param {object[]} [data.telemetry] - Per-item telemetry by zero-based index.
+ * @param {object} [data.bestFitType] - Verified pole per dichotomy.
+ * @param {string|null} [data.startedAt] - ISO-8601 timestamp.
+ * @param {string|null} [data.completedAt] - ISO-8601 timestamp.
+ * @param {object} [data.instrument] - Instrument definition from instruments.js (default: Form M).
+ * @param {string} [data.locale] - Locale code the items were presented in (default: 'en').
+ * @param {object|null} [data.participant] - `{ sessionId, code }` in a facilitated session.
+ * @param {object|null} [data.verification] - Verification log from bestFit.js.
+ */
+export function buildResultRecord({ questions, userAnswers, questionSequence, adaptiveMode, dichotomyResults, estimator, facetResults = {}, validity = null, telemetry = [], bestFitType = {}, startedAt = null, completedAt = null, instrument = getInstrument(), locale = 'en', participant = null, verification = null }) {
+    const dichotomies = scaleIds(instrument);
+    const responses = {};
+    questions.forEach((question, index) => {
+        responses[question.number] = userAnswers[index] ? userAnswers[index].choice : null;
+    });
+
+    const telemetryByNumber = {};
+    questionSequence.forEach(index => {
+        if (telemetry[index]) {
+            telemetryByNumber[questions[index].number] = { ...telemetry[index] };
+        }
+    });
+
+    const bestFitComplete = dichotomies.every(key => bestFitType[key]);
+
+    return {
+        schemaVersion: RECORD_SCHEMA_VERSION,
+        instrument: { id: instrument.id, version: instrument.version, itemCount: questions.length },
+        timestamps: { startedAt, completedAt, exportedAt: new Date().toISOString() },
+        administration: {
+            mode: adaptiveMode ? 'adaptive' : 'linear',
+            locale,
+            sequence: questionSequence.map(index => questions[index].number),
+            omissions: questionSequence.filter(index => userAnswers[index] === null).length,
+            ...(participant ? { participant: { sessionId: participant.sessionId, code: participant.code } } : {})
+        },
+        responses,
+        scores: { estimator, dichotomies: dichotomyResults, facets: facetResults },
+        validity,
+        telemetry: telemetryByNumber,
+        bestFit: bestFitComplete ? { ...bestFitType } : {},
+        verification: bestFitComplete ? verification : null,
+        reportedType: dichotomies.map(key => dichotomyResults[key].preference).join(''),
+        bestFitType: bestFitComplete ? dichotomies.map(key => bestFitType[key]).join('') : null
+    };
+}
+
+/**
+ * Checks an imported record against the schema and the item bank, throwing an Error
+ * that names the first problem found. Returns the record unchanged when it is valid.
+ */
+export function validateResultRecord(record, questions, instrument = getInstrument()) {
+    if (!record || typeof record !== 'object') {
+        throw new Error('The file does not contain a result record.');
+    }
+    if (!SUPPORTED_SCHEMA_VERSIONS.includes(record.schemaVersion)) {
+        throw new Error(`Unsupported record schema version "${record.schemaVersion}". Expected ${SUPPORTED_SCHEMA_VERSIONS.join(' or ')}.`);
+    }
+    if (!record.instrument || record.instrument.id !== instrument.id) {
+        throw new Error(`The record is for a different instrument ("${record.instrument && record.instrument.id}").`);
+    }
+    if (!record.responses || typeof record.responses !== 'object') {
+        throw new Error('The record has no responses.');
+    }
+
+    const questionsByNumber = new Map(questions.map(question => [String(question.number), question]));
+    for (const [number, choice] of Object.entries(record.responses)) {
+        const question = questionsByNumber.get(number);
+        if (!question) {
+            throw new Error(`Response for unknown question number ${number}.`);
+        }
+        if (choice !== null && !question.options[choice]) {
+            throw new Error(`Question ${number}: "${choice}" is not a valid option.`);
+        }
+    }
+
+    const sequence = record.administration && record.administration.sequence;
+    if (sequence && sequence.some(number => !questionsByNumber.has(String(number)))) {
+        throw new Error('The administration sequence refers to an unknown question number.');
+    }
+
+    const scalesById = new Map(instrument.scales.map(scale => [scale.id, scale]));
+    for (const [dichotomy, pole] of Object.entries(record.bestFit || {})) {
+        if (!scalesById.has(dichotomy) || !scalesById.get(dichotomy).poles.includes(pole)) {
+            throw new Error(`Invalid best-fit choice "${pole}" for ${dichotomy}.`);
+        }
+    }
+
+    return record;
+}
+
+// Fills in what a validated record of an older schema version leaves out.
+function upgradeRecord(record) {
+    if (record.schemaVersion === RECORD_SCHEMA_VERSION) return record;
+    return {
+        ...record,
+        schemaVersion: RECORD_SCHEMA_VERSION,
+        administration: { locale: 'en', ...record.administration },
+        verification: record.verification || null
+    };
+}
+
+/**
+ * Re-scores a validated record from its responses, with the estimator it was scored with
+ * (MLE when the record names none the scorer knows). Imported scores are never trusted.
+ *
+ * @param {object} record - From `parseResultFile`.
+ * @param {object} allQuestions - The parsed item bank file (e.g. questions.json).
+ * @param {object} [instrument] - Definition from instruments.js; defaults to Form M.
+ * @returns {object} `{ answers, estimator, dichotomyResults, reportedType, bestFitType, verified }`:
+ *   `answers` in the form `calculateResults` takes, and `bestFitType` null (with `verified`
+ *   false) until the record's verification is finished.
+ */
+export function scoreRecord(record, allQuestions, instrument = getInstrument()) {
+    const answers = {};
+    for (const [number, choice] of Object.entries(record.responses)) {
+        if (choice) answers[number] = { choice };
+    }
+    const estimator = SUPPORTED_ESTIMATORS.includes(record.scores && record.scores.estimator) ? record.scores.estimator : 'MLE';
+    const { dichotomyResults } = calculateResults(answers, allQuestions, { estimator, instrument });
+
+    const dichotomies = scaleIds(instrument);
+    const verified = dichotomies.every(key => record.bestFit && record.bestFit[key]);
+
+    return {
+        answers,
+        estimator,
+        dichotomyResults,
+        reportedType: dichotomies.map(key => dichotomyResults[key].preference).join(''),
+        bestFitType: verified ? dichotomies.map(key => record.bestFit[key]).join('') : null,
+        verified
+    };
+}
+
+// --- CSV ---
+
+const SUMMARY_COLUMNS = ['schema_version', 'instrument_id', 'instrument_version', 'mode', 'locale', 'session_id', 'participant_code', 'estimator', 'started_at', 'completed_at', 'exported_at', 'omissions', 'reported_type', 'best_fit_type', 'whole_type_changed', 'whole_type_confidence'];
+const DICHOTOMY_FIELDS = ['preference', 'pci', 'pcc', 'theta', 'se', 'best_fit', 'verify_overrode', 'verify_unsure', 'verify_confidence'];
+const VALIDITY_COLUMNS = { longString: 'long_string', personFit: 'person_fit_lz', fastResponding: 'fast_proportion' };
+const TELEMETRY_COLUMNS = { timeToFirstAnswer: 'ms', answerChanges: 'changes', revisits: 'revisits', skipped: 'skipped' };
+
+function csvColumns(questions, instrument) {
+    const dichotomyColumns = scaleIds(instrument).flatMap(key => DICHOTOMY_FIELDS.map(field => `${key}_${field}`));
+    const responseColumns = questions.map(question => `q${question.number}`);
+    const telemetryColumns = questions.flatMap(question => Object.values(TELEMETRY_COLUMNS).map(suffix => `q${question.number}_${suffix}`));
+    const validityColumns = ['validity_flagged', ...Object.values(VALIDITY_COLUMNS)];
+    return [...SUMMARY_COLUMNS, ...dichotomyColumns, ...validityColumns, 'sequence', ...responseColumns, ...telemetryColumns];
+}
+
+function recordToRow(record, instrument) {
+    const row = {
+        schema_version: record.schemaVersion,
+        instrument_id: record.instrument.id,
+        instrument_version: record.instrument.version,
+        mode: record.administration.mode,
+        locale: record.administration.locale,
+        session_id: record.administration.participant ? record.administration.participant.sessionId : '',
+        participant_code: record.administration.participant ? record.administration.participant.code : '',
+        estimator: record.scores.estimator,
+        started_at: record.timestamps.startedAt,
+        completed_at: record.timestamps.completedAt,
+        exported_at: record.timestamps.exportedAt,
+        omissions: record.administration.omissions,
+        reported_type: record.reportedType,
+        best_fit_type: record.bestFitType,
+        sequence: record.administration.sequence.join(' ')
+    };
+
+    const verification = record.verification || null;
+    if (verification && verification.wholeType) {
+        row.whole_type_changed = verification.wholeType.changed;
+        row.whole_type_confidence = verification.wholeType.confidence;
+    }
+
+    for (const key of scaleIds(instrument)) {
+        const result = record.scores.dichotomies[key];
+        row[`${key}_preference`] = result.preference;
+        row[`${key}_pci`] = result.pci;
+        row[`${key}_pcc`] = result.pcc;
+        row[`${key}_theta`] = result.theta;
+        row[`${key}_se`] = result.standardError;
+        row[`${key}_best_fit`] = record.bestFit[key];
+
+        const step = verification && verification.steps[key];
+        if (step) {
+            row[`${key}_verify_overrode`] = step.overrode;
+            row[`${key}_verify_unsure`] = step.unsure;
+            row[`${key}_verify_confidence`] = step.confidence;
+        }
+    }
+
+    if (record.validity) {
+        row.validity_flagged = record.validity.flagged;
+        for (const flag of record.validity.flags) {
+            row[VALIDITY_COLUMNS[flag.id]] = flag.value;
+        }
+    }
+
+    for (const [number, choice] of Object.entries(record.responses)) {
+        row[`q${number}`] = choice;
+    }
+
+    for (const [number, entry] of Object.entries(record.telemetry || {})) {
+        for (const [field, suffix] of Object.entries(TELEMETRY_COLUMNS)) {
+            row[`q${number}_${suffix}`] = entry[field];
+        }
+    }
+
+    return row;
+}
+
+/**
+ * Flattens one or more records into CSV, one row per record.
+ */
+export function recordsToCsv(records, questions, instrument = getInstrument()) {
+    return toCsv(csvColumns(questions, instrument), records.map(record => recordToRow(record, instrument)));
+}
+
+/**
+ * Rebuilds records from CSV produced by `recordsToCsv`. Scores are carried over as
+ * far as the flat columns allow and validity is left out; callers re-score from the responses anyway.
+ * The verification columns are for analysis only: records read from CSV have no verification log.
+ */
+export function recordsFromCsv(text, questions, instrument = getInstrument()) {
+    const { columns, records, errors } = parseCsv(text);
+    if (errors.length > 0) {
+        throw new Error(`Line ${errors[0].line}: ${errors[0].message}.`);
+    }
+    const missing = questions.map(question => `q${question.number}`).filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`The CSV file is missing response columns: ${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ', ...' : ''}.`);
+    }
+
+    return records.map(({ values, line }) => {
+        const responses = {};
+        questions.forEach(question => {
+            const choice = values[`q${question.number}`].trim();
+            responses[question.number] = choice === '' ? null : choice;
+        });
+
+        const telemetry = {};
+        questions.forEach(question => {
+            const prefix = `q${question.number}_`;
+            if (values[`${prefix}ms`] === undefined) return; // Exported before telemetry was recorded
+            if (['ms', 'changes', 'revisits', 'skipped'].every(suffix => values[prefix + suffix] === '')) return; // Not served
+            telemetry[question.number] = {
+                timeToFirstAnswer: values[`${prefix}ms`] === '' ? null : Number(values[`${prefix}ms`]),
+                answerChanges: Number(values[`${prefix}changes`]) || 0,
+                revisits: Number(values[`${prefix}revisits`]) || 0,
+                skipped: values[`${prefix}skipped`] === 'true'
+            };
+        });
+
+        const dichotomies = {};
+        const bestFit = {};
+        for (const key of scaleIds(instrument)) {
+            dichotomies[key] = {
+                preference: values[`${key}_preference`],
+                pci: Number(values[`${key}_pci`]),
+                pcc: values[`${key}_pcc`],
+                theta: Number(values[`${key}_theta`]),
+                standardError: values[`${key}_se`] === '' ? null : Number(values[`${key}_se`]),
+                dichotomyName: key
+            };
+            if (values[`${key}_best_fit`]) {
+                bestFit[key] = values[`${key}_best_fit`];
+            }
+        }
+
+        const record = {
+            schemaVersion: Number(values.schema_version),
+            instrument: { id: values.instrument_id, version: values.instrument_version, itemCount: questions.length },
+            timestamps: {
+                startedAt: values.started_at || null,
+                completedAt: values.completed_at || null,
+                exportedAt: values.exported_at || null
+            },
+            administration: {
+                mode: values.mode || 'linear',
+                locale: values.locale || 'en',
+                sequence: values.sequence ? values.sequence.trim().split(/\s+/).map(Number) : questions.map(question => question.number),
+                omissions: Number(values.omissions),
+                ...(values.participant_code ? { participant: { sessionId: values.session_id, code: values.participant_code } } : {})
+            },
+            responses,
+            scores: { estimator: values.estimator, dichotomies, facets: {} },
+            validity: null,
+            telemetry,
+            bestFit,
+            verification: null,
+            reportedType: values.reported_type,
+            bestFitType: values.best_fit_type || null
+        };
+
+        try {
+            return upgradeRecord(validateResultRecord(record, questions, instrument));
+        } catch (error) {
+            throw new Error(`Line ${line}: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Parses an imported file (JSON or CSV, told apart by content) into validated records
+ * of the current schema version.
+ */
+export function parseResultFile(text, questions, instrument = getInstrument()) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const parsed = JSON.parse(trimmed);
+        const records = Array.isArray(parsed) ? parsed : [parsed];
+        return records.map(record => upgradeRecord(validateResultRecord(record, questions, instrument)));
+    }
+    return recordsFromCsv(text, questions, instrument);
+}
@@ -16,7 +16,7 @@
  *
  * 2.  **Calibrated Item Parameters:**
  *     'a' and 'b' parameters for each of the 93 items are sourced from the
- *     `itemParameterMatrix.js`. These parameters are empirically derived and
+ *     `itemParameterMatrix.js`, through the Form M entry of `instruments.js`. These parameters are empirically derived and
  *     professionally calibrated based on the Factor Analysis Rotated Component Matrix
  *     from the official "MBTI® Form M MANUAL SUPPLEMENT" (2009), ensuring the reliability
  *     and validity of the results aligned with the instrument's design.
@@ -28,7 +28,8 @@
  *     All questions belonging to a specific dichotomy are collectively used in this
  *     single MLE calculation, aligning directly with the established methodology
  *     for MBTI Form M scoring (MBTI Manual, p. 146). Facets are used for item
- *     construction and theoretical alignment, but are not individually scored.
+ *     construction and theoretical alignment, and are scored separately by
+ *     `calculateFacetResults` (see 12); they never feed back into the dichotomy theta.
  *
  * 4.  **Reliability of MBTI Form M (from MBTI® Form M Manual Supplement, 2009, Table 7):**
  *     - **Cronbach's Alpha (Internal Consistency):**
@@ -41,6 +42,8 @@
  *       - S-N: .97
  *       - T-F: .94
  *       - J-P: .95
+ *     These are the publisher's norms; `itemAnalysis.js` (and `node analyzeItems.mjs`)
+ *     computes alpha and marginal reliability from our own respondents.
  *
  * 5.  **`scoreKey` Notation for Response Direction:**
  *     The `questions.json` file is expected to contain a `scoreKey` (1 or 0) for each
@@ -74,66 +77,105 @@
  *     on empirical data that shows this improves agreement with individuals'
  *     self-reported 'best-fit' type. The E-I midpoint is not adjusted.
  *
+ * 10. **Standard Error and Confidence Intervals:**
+ *     The test information at the final theta (the negative of the Hessian already
+ *     computed by the Newton-Raphson loop) gives the standard error of the estimate,
+ *     SE = 1 / sqrt(I(theta)). From it we report 90% and 95% confidence intervals for
+ *     theta and the probability that the reported pole is the correct one, i.e. that
+ *     the true theta lies on the reported side of the midpoint. A dichotomy with no
+ *     answered questions carries no information, so these fields are null.
+ *
+ * 11. **Alternative Bayesian Estimators (EAP / MAP):**
+ *     MLE has no finite solution when every answered item of a dichotomy points to the
+ *     same pole, and it is unstable when only a handful of items were answered; theta
+ *     then sits on the [-3, 3] clamp and the PCI is inflated to 30. `calculateResults`
+ *     therefore accepts an `estimator` option: 'MLE' (default), 'MAP' (posterior mode)
+ *     or 'EAP' (posterior mean by quadrature), both of the latter under a normal prior
+ *     (N(0, 1) unless a `prior` is supplied). The estimator used is reported in the result.
+ *
+ * 12. **Facet (Step II-style) Subscales:**
+ *     Every item carries a `facet` tag such as "Gregarious / Intimate", whose first
+ *     half names the facet pole aligned with E, S, T or J. `calculateFacetResults`
+ *     estimates a theta per facet from its own items (EAP by default, since facets
+ *     have only 1-10 items) and maps it onto a -5..+5 score, positive towards the
+ *     first facet pole. Scores of -1..+1 form the midzone. A facet outside the midzone
+ *     that leans against the reported preference of its dichotomy is flagged as
+ *     out-of-preference.
+ *
+ * 13. **Instrument Definitions:**
+ *     The dichotomies, tie-breakers, midpoint rules, clarity bands and item parameters
+ *     described above are those of the Form M definition in `instruments.js`. Passing
+ *     another definition as `options.instrument` scores a different form or custom
+ *     scales with the same engine, and `options.itemParameters` swaps in a parameter
+ *     matrix of the same shape, such as one recalibrated on local data (calibration.js).
+ *
  * This module provides the psychometric backbone for deriving accurate MBTI
  * preferences, reflecting rigorous adherence to established IRT principles
  * and the specific characteristics of the MBTI Form M.
  */
 
-import { itemParameters } from './itemParameterMatrix.js';
+import { getInstrument, getItems, withItemParameters } from './instruments.js';
 
 // --- Model Configuration ---
-// This config is now only needed for the FINAL scoring step (tie-breaking and preference assignment),
-// not for the core MLE loop.
-const DICHOTOMY_CONFIG = {
-    'E-I': { poles: ['E', 'I'], tieBreaker: 'I' },
-    'S-N': { poles: ['S', 'N'], tieBreaker: 'N' },
-    'T-F': { poles: ['T', 'F'], tieBreaker: 'F' },
-    'J-P': { poles: ['J', 'P'], tieBreaker: 'P' }
-};
+// The scales (poles, tie-breakers, midpoint rules), clarity bands and item parameters
+// come from the instrument definition (see instruments.js); Form M is the default.
 
 // --- Pre-computation for efficiency ---
-const dichotomyToQuestionMap = new Map();
-for (const [index, params] of Object.entries(itemParameters)) {
-    const dichotomyName = params.dichotomy;
-    if (!dichotomyToQuestionMap.has(dichotomyName)) {
-        dichotomyToQuestionMap.set(dichotomyName, []);
+const dichotomyMapCache = new WeakMap();
+
+/**
+ * Maps each dichotomy of an instrument to the zero-based indices of its items (cached per instrument).
+ */
+function getDichotomyToQuestionMap(instrument) {
+    if (!dichotomyMapCache.has(instrument)) {
+        const dichotomyToQuestionMap = new Map();
+        for (const [index, params] of Object.entries(instrument.itemParameters)) {
+            const dichotomyName = params.dichotomy;
+            if (!dichotomyToQuestionMap.has(dichotomyName)) {
+                dichotomyToQuestionMap.set(dichotomyName, []);
+            }
+            dichotomyToQuestionMap.get(dichotomyName).push(parseInt(index, 10));
+        }
+        dichotomyMapCache.set(instrument, dichotomyToQuestionMap);
     }
-    dichotomyToQuestionMap.get(dichotomyName).push(parseInt(index, 10));
+    return dichotomyMapCache.get(instrument);
 }
 
 /**
  * Calculates the probability of a '1' response (positive pole) for a given item.
  */
-function probability(theta, a, b) {
+export function probability(theta, a, b) {
     return 1 / (1 + Math.exp(-a * (theta - b)));
 }
 
 /**
- * Converts a PCI score to a qualitative category.
+ * Standard normal cumulative distribution function (Abramowitz & Stegun 7.1.26).
  */
-function getPccCategory(pci) {
-    if (pci >= 26) return "Very Clear";
-    if (pci >= 16) return "Clear";
-    if (pci >= 6) return "Moderate";
-    return "Slight";
+function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
 }
 
 /**
- * Estimates theta for a dichotomy using MLE, now leveraging the `scoreKey`.
+ * Converts a PCI score to a qualitative category using the instrument's clarity bands.
  */
-function findBestThetaForDichotomy(dichotomyName, answers, allQuestions) {
-    const allDichotomyIndices = dichotomyToQuestionMap.get(dichotomyName) || [];
-    const answeredQuestionIndices = allDichotomyIndices.filter(qIndex => answers[qIndex + 1]);
+function getPccCategory(pci, clarity) {
+    const band = clarity.bands.find(entry => pci >= entry.minPci);
+    return band ? band.label : clarity.bands[clarity.bands.length - 1].label;
+}
 
-    if (answeredQuestionIndices.length === 0) {
-        return 0; // Return neutral theta for no answers.
-    }
+/**
+ * Collects the answered items among `questionIndices` with their parameters and the user's `scoreKey`.
+ */
+function collectAnsweredItems(questionIndices, answers, questions, instrument) {
+    const answeredQuestionIndices = questionIndices.filter(qIndex => answers[qIndex + 1]);
 
-    // Prepare items with their parameters and user responses
-    const items = answeredQuestionIndices.map(qIndex => {
-        const params = itemParameters[qIndex];
+    return answeredQuestionIndices.map(qIndex => {
+        const params = instrument.itemParameters[qIndex];
         const answer = answers[qIndex + 1];
-        const questionData = allQuestions.MBTI_Form_M[qIndex];
+        const questionData = questions[qIndex];
         const userScoreKey = questionData.options[answer.choice].scoreKey;
 
         return {
@@ -142,7 +184,32 @@ function findBestThetaForDichotomy(dichotomyName, answers, allQuestions) {
             u: userScoreKey
         };
     });
+}
+
+/**
+ * Fisher information of a single 2PL item at theta: a^2 * P * Q.
+ */
+export function itemInformation(theta, a, b) {
+    const P = probability(theta, a, b);
+    return a * a * P * (1 - P);
+}
+
+/**
+ * Test information at theta: I(theta) = sum(a^2 * P * Q).
+ */
+function testInformation(theta, items) {
+    let information = 0.0;
+    for (const { a, b } of items) {
+        information += itemInformation(theta, a, b);
+    }
+    return information;
+}
 
+/**
+ * Newton-Raphson search for the mode of the log-likelihood, optionally penalised
+ * by a normal prior (which turns MLE into MAP). Theta is clamped to [-thetaRange, thetaRange].
+ */
+function newtonRaphson(items, prior, thetaRange) {
     // Newton-Raphson settings
     const maxIterations = 20;
     const tolerance = 0.0001;
@@ -162,6 +229,12 @@ function findBestThetaForDichotomy(dichotomyName, answers, allQuestions) {
             hessian += -a * a * P * Q;
         }
 
+        // The log of a normal prior adds a linear pull towards its mean.
+        if (prior) {
+            gradient += -(theta - prior.mean) / (prior.sd * prior.sd);
+            hessian += -1 / (prior.sd * prior.sd);
+        }
+
         // Avoid division by zero and check convergence
         if (Math.abs(hessian) < 1e-7) {
             break;
@@ -170,8 +243,8 @@ function findBestThetaForDichotomy(dichotomyName, answers, allQuestions) {
         const delta = gradient / hessian;
         const newTheta = theta - delta;
 
-        // Clamp theta to [-3, 3] range
-        const clampedTheta = Math.max(-3, Math.min(3, newTheta));
+        // Clamp theta to [-thetaRange, thetaRange] (Form M: [-3, 3])
+        const clampedTheta = Math.max(-thetaRange, Math.min(thetaRange, newTheta));
         const change = Math.abs(clampedTheta - theta);
 
         theta = clampedTheta;
@@ -183,15 +256,152 @@ function findBestThetaForDichotomy(dichotomyName, answers, allQuestions) {
     return theta;
 }
 
+/**
+ * Maximum Likelihood Estimation. The standard error comes from the test information.
+ */
+function estimateThetaMLE(items, prior, thetaRange) {
+    const theta = newtonRaphson(items, null, thetaRange);
+    return { theta, standardError: 1 / Math.sqrt(testInformation(theta, items)) };
+}
+
+/**
+ * Maximum A Posteriori estimation: the mode of the posterior under a normal prior.
+ * The prior keeps all-same-pole response patterns away from the clamp.
+ */
+function estimateThetaMAP(items, prior, thetaRange) {
+    const theta = newtonRaphson(items, prior, thetaRange);
+    const posteriorInformation = testInformation(theta, items) + 1 / (prior.sd * prior.sd);
+    return { theta, standardError: 1 / Math.sqrt(posteriorInformation) };
+}
+
+/**
+ * Expected A Posteriori estimation: the posterior mean, computed by rectangular
+ * quadrature over a normal prior. The posterior standard deviation is the standard error.
+ */
+function estimateThetaEAP(items, prior, thetaRange) {
+    const quadraturePoints = 61;
+    const lower = prior.mean - 4 * prior.sd;
+    const step = (8 * prior.sd) / (quadraturePoints - 1);
+
+    let weightSum = 0.0;
+    let firstMoment = 0.0;
+    let secondMoment = 0.0;
+
+    for (let k = 0; k < quadraturePoints; k++) {
+        const node = lower + k * step;
+        const z = (node - prior.mean) / prior.sd;
+        let logWeight = -0.5 * z * z;
+
+        for (const { a, b, u } of items) {
+            const P = probability(node, a, b);
+            logWeight += u === 1 ? Math.log(P) : Math.log(1 - P);
+        }
+
+        const weight = Math.exp(logWeight);
+        weightSum += weight;
+        firstMoment += weight * node;
+        secondMoment += weight * node * node;
+    }
+
+    const mean = firstMoment / weightSum;
+    const variance = Math.max(0, secondMoment / weightSum - mean * mean);
+
+    return {
+        theta: Math.max(-thetaRange, Math.min(thetaRange, mean)),
+        standardError: Math.sqrt(variance)
+    };
+}
+
+const ESTIMATORS = {
+    MLE: estimateThetaMLE,
+    MAP: estimateThetaMAP,
+    EAP: estimateThetaEAP
+};
+
+export const SUPPORTED_ESTIMATORS = Object.keys(ESTIMATORS);
+
+// Standard normal prior used by MAP and EAP unless the caller supplies one.
+const DEFAULT_PRIOR = { mean: 0, sd: 1 };
+
+/**
+ * Estimates theta for a dichotomy with the chosen estimator, leveraging the `scoreKey`.
+ * Returns the estimate together with its standard error (null when no items were answered).
+ */
+function findBestThetaForDichotomy(dichotomyName, answers, questions, instrument, estimator, prior) {
+    const questionIndices = getDichotomyToQuestionMap(instrument).get(dichotomyName) || [];
+    const items = collectAnsweredItems(questionIndices, answers, questions, instrument);
+
+    if (items.length === 0) {
+        return { theta: 0, standardError: null }; // Return neutral theta for no answers.
+    }
+
+    return ESTIMATORS[estimator](items, prior, instrument.clarity.thetaRange);
+}
+
+/**
+ * Resolves the shared options of the public scoring functions.
+ */
+function resolveOptions(allQuestions, options, defaultEstimator) {
+    const estimator = options.estimator || defaultEstimator;
+    const prior = { ...DEFAULT_PRIOR, ...options.prior };
+    let instrument = options.instrument || getInstrument();
+    if (options.itemParameters) {
+        instrument = withItemParameters(instrument, options.itemParameters);
+    }
+
+    if (!ESTIMATORS[estimator]) {
+        throw new Error(`Unknown estimator "${estimator}". Expected one of: ${SUPPORTED_ESTIMATORS.join(', ')}.`);
+    }
+
+    return { estimator, prior, instrument, questions: getItems(instrument, allQuestions) };
+}
+
+/**
+ * Builds the 90% and 95% confidence intervals for theta and the probability
+ * that the true theta lies on the side of the reported preference.
+ */
+function describeUncertainty(theta, standardError, preferenceIsPositivePole) {
+    if (standardError === null || !isFinite(standardError)) {
+        return { standardError: null, confidenceIntervals: null, poleProbability: null };
+    }
+
+    const interval = z => [
+        parseFloat((theta - z * standardError).toFixed(2)),
+        parseFloat((theta + z * standardError).toFixed(2))
+    ];
+    const positiveSide = normalCdf(theta / standardError);
+
+    return {
+        standardError: parseFloat(standardError.toFixed(2)),
+        confidenceIntervals: {
+            '90': interval(1.645),
+            '95': interval(1.96)
+        },
+        poleProbability: parseFloat((preferenceIsPositivePole ? positiveSide : 1 - positiveSide).toFixed(3))
+    };
+}
+
 
 /**
  * Main function to calculate MBTI results.
+ *
+ * @param {object} answers - Answers keyed by 1-based question number, e.g. { 1: { choice: 'A' } }.
+ *     Entries may carry extra fields such as `telemetry` (see telemetry.js); only `choice` is scored.
+ * @param {object} allQuestions - The parsed item bank file, e.g. questions.json ({ MBTI_Form_M: [...] }).
+ * @param {object} [options]
+ * @param {string} [options.estimator='MLE'] - One of SUPPORTED_ESTIMATORS ('MLE', 'MAP', 'EAP').
+ * @param {{mean: number, sd: number}} [options.prior] - Normal prior for MAP and EAP.
+ * @param {object} [options.instrument] - Instrument definition from instruments.js (default: Form M).
+ * @param {object} [options.itemParameters] - Parameter matrix replacing the instrument's own.
  */
-export function calculateResults(answers, allQuestions) {
+export function calculateResults(answers, allQuestions, options = {}) {
+    const { estimator, prior, instrument, questions } = resolveOptions(allQuestions, options, 'MLE');
+    const { clarity } = instrument;
     const dichotomyResults = {};
 
-    for (const [dichotomy, config] of Object.entries(DICHOTOMY_CONFIG)) {
-        const theta = findBestThetaForDichotomy(dichotomy, answers, allQuestions);
+    for (const config of instrument.scales) {
+        const dichotomy = config.id;
+        const { theta, standardError } = findBestThetaForDichotomy(dichotomy, answers, questions, instrument, estimator, prior);
 
         const [pole1, pole2] = config.poles;
         let preference;
@@ -208,33 +418,110 @@ export function calculateResults(answers, allQuestions) {
         }
 
         // Step 2: Calculate Preference Clarity Index (PCI) and Category (PCC).
-        const maxTheta = 3.0;
-        const rawPciCalculation = (Math.abs(theta) / maxTheta) * 30;
+        const maxTheta = clarity.thetaRange;
+        const rawPciCalculation = (Math.abs(theta) / maxTheta) * clarity.maxPci;
         const pci = theta === 0 ? 1 : Math.max(1, Math.round(rawPciCalculation));
-        const pcc = getPccCategory(pci);
+        const pcc = getPccCategory(pci, clarity);
 
         // Step 3: Apply Midpoint Adjustments (as per MBTI Manual Third Edition, p. 149).
         // This empirically-derived adjustment reclassifies preferences for certain
         // very low PCI scores to improve agreement with 'best-fit' type.
-        if (dichotomy === 'S-N' && preference === 'S' && pci === 1) {
-            preference = 'N';
-        } else if (dichotomy === 'T-F' && preference === 'T' && pci <= 2) {
-            preference = 'F';
-        } else if (dichotomy === 'J-P' && preference === 'J' && pci === 1) {
-            preference = 'P';
+        const adjustment = config.midpointAdjustment;
+        if (adjustment && preference === adjustment.from && pci <= adjustment.maxPci) {
+            preference = adjustment.to;
         }
 
-        // Step 4: Assemble final result object for the dichotomy.
+        // Step 4: Quantify the uncertainty around theta and the reported pole.
+        const uncertainty = describeUncertainty(theta, standardError, preference === pole1);
+
+        // Step 5: Assemble final result object for the dichotomy.
         dichotomyResults[dichotomy] = {
             preference,
             pci,
             pcc,
             theta: parseFloat(theta.toFixed(2)),
+            ...uncertainty,
             dichotomyName: dichotomy
         };
     }
 
     return {
-        dichotomyResults
+        dichotomyResults,
+        estimator
     };
-}
\ No newline at end of file
+}
+
+
+/**
+ * Scores each facet (e.g. "Tough / Tender") from its items.
+ *
+ * @param {object} answers - Answers keyed by 1-based question number, as for `calculateResults`.
+ * @param {object} allQuestions - The parsed item bank file, e.g. questions.json ({ MBTI_Form_M: [...] }).
+ * @param {object} [options]
+ * @param {string} [options.estimator='EAP'] - One of SUPPORTED_ESTIMATORS.
+ * @param {{mean: number, sd: number}} [options.prior] - Normal prior for MAP and EAP.
+ * @param {object} [options.instrument] - Instrument definition from instruments.js (default: Form M).
+ * @param {object} [options.itemParameters] - Parameter matrix replacing the instrument's own.
+ * @param {object} [options.dichotomyResults] - Output of `calculateResults`, used to decide which
+ *     facets are out of preference. Computed with the default estimator when omitted.
+ */
+export function calculateFacetResults(answers, allQuestions, options = {}) {
+    const { estimator, prior, instrument, questions } = resolveOptions(allQuestions, options, 'EAP');
+    const dichotomyResults = options.dichotomyResults || calculateResults(answers, allQuestions, { instrument }).dichotomyResults;
+    const scalesById = new Map(instrument.scales.map(scale => [scale.id, scale]));
+
+    // Group question indices by facet, keeping the scale order of the instrument.
+    const facetToQuestionMap = new Map();
+    for (const dichotomy of scalesById.keys()) {
+        questions.forEach((question, qIndex) => {
+            if (question.dichotomy !== dichotomy || !question.facet) return;
+            if (!facetToQuestionMap.has(question.facet)) {
+                facetToQuestionMap.set(question.facet, []);
+            }
+            facetToQuestionMap.get(question.facet).push(qIndex);
+        });
+    }
+
+    const maxFacetScore = 5;
+    const facetResults = {};
+
+    for (const [facet, questionIndices] of facetToQuestionMap) {
+        const dichotomy = questions[questionIndices[0]].dichotomy;
+        const [pole1, pole2] = scalesById.get(dichotomy).poles;
+        const [facetPole1, facetPole2] = facet.split(' / ');
+        const items = collectAnsweredItems(questionIndices, answers, questions, instrument);
+
+        const result = {
+            facet,
+            dichotomyName: dichotomy,
+            itemCount: questionIndices.length,
+            itemsAnswered: items.length,
+            pole: null,
+            poleLetter: null,
+            score: null,
+            theta: null,
+            midzone: null,
+            outOfPreference: false
+        };
+
+        if (items.length > 0) {
+            const { theta } = ESTIMATORS[estimator](items, prior, instrument.clarity.thetaRange);
+            const score = Math.round((theta / instrument.clarity.thetaRange) * maxFacetScore);
+            const leansPositive = theta > 0;
+
+            result.pole = leansPositive ? facetPole1 : facetPole2;
+            result.poleLetter = leansPositive ? pole1 : pole2;
+            result.score = score === 0 ? 0 : score; // Normalise -0
+            result.theta = parseFloat(theta.toFixed(2));
+            result.midzone = Math.abs(score) <= 1;
+            result.outOfPreference = !result.midzone && result.poleLetter !== dichotomyResults[dichotomy].preference;
+        }
+
+        facetResults[facet] = result;
+    }
+
+    return {
+        facetResults,
+        estimator
+    };
+}
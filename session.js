@@ -0,0 +1,94 @@
+/**
+ * session.js: Persistence of an in-progress assessment across page reloads
+ *
+ * The quiz state that app.js keeps in closure variables (answers, position in the
+ * question sequence, verification progress) is mirrored to localStorage after every
+ * change, so an accidental refresh or a closed tab does not lose any answers.
+ *
+ * Stored sessions carry a `version` field. When the shape of the stored state changes,
+ * bump SESSION_SCHEMA_VERSION and add a step to `migrateSession` that upgrades the
+ * previous version; sessions that cannot be migrated are discarded.
+ */
+
+import { createItemTelemetry } from './telemetry.js';
+import { DEFAULT_INSTRUMENT_ID } from './instruments.js';
+
+export const SESSION_SCHEMA_VERSION = 7;
+
+const STORAGE_KEY = 'formM.session';
+
+/**
+ * Upgrades a stored session to the current schema, or returns null if it cannot be used.
+ */
+function migrateSession(session) {
+    switch (session.version) {
+        case 1: {
+            // v1 kept only a response time per item; v2 keeps full per-item telemetry.
+            const { responseTimes = [], ...rest } = session;
+            const itemTelemetry = rest.userAnswers.map((answer, index) => ({
+                ...createItemTelemetry(),
+                timeToFirstAnswer: responseTimes[index] === undefined ? null : responseTimes[index]
+            }));
+            return migrateSession({ ...rest, itemTelemetry, version: 2 });
+        }
+        case 2:
+            // v3 records which instrument the session belongs to; earlier sessions were all Form M.
+            return migrateSession({ ...session, instrumentId: DEFAULT_INSTRUMENT_ID, version: 3 });
+        case 3:
+            // v4 keeps the auto-advance setting, which was always on before.
+            return migrateSession({ ...session, autoAdvance: true, version: 4 });
+        case 4:
+            // v5 adds the review screen and the questions still to revisit from it.
+            return migrateSession({ ...session, reviewQueue: null, version: 5 });
+        case 5:
+            // v6 remembers the facilitated session a participant joined from a start link.
+            return migrateSession({ ...session, participant: null, version: 6 });
+        case 6:
+            // v7 logs confidence, overrides and the whole-type stage of verification (see bestFit.js).
+            return migrateSession({ ...session, verificationLog: { steps: {}, wholeType: null }, version: 7 });
+        case SESSION_SCHEMA_VERSION:
+            return session;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Saves the given state, stamped with the schema version and the time of saving.
+ * Storage failures (private browsing, full quota) are logged, never thrown.
+ */
+export function saveSession(state) {
+    try {
+        const session = { version: SESSION_SCHEMA_VERSION, savedAt: new Date().toISOString(), ...state };
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    } catch (error) {
+        console.warn("Could not save the session:", error);
+    }
+}
+
+/**
+ * Returns the stored session migrated to the current schema, or null if there is none.
+ */
+export function loadSession() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        if (!raw) return null;
+
+        const session = migrateSession(JSON.parse(raw));
+        if (!session) {
+            clearSession();
+        }
+        return session;
+    } catch (error) {
+        console.warn("Could not load the saved session:", error);
+        return null;
+    }
+}
+
+export function clearSession() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        console.warn("Could not clear the saved session:", error);
+    }
+}
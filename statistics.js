@@ -0,0 +1,104 @@
+/**
+ * statistics.js: Numerical helpers shared by the analysis modules
+ *
+ * Small, dependency-free routines used by calibration.js, dif.js and teamSummary.js.
+ */
+
+/**
+ * Inverts a symmetric positive-definite matrix by Gauss-Jordan elimination; null if singular.
+ */
+export function invertMatrix(matrix) {
+    const n = matrix.length;
+    const work = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(work[row][col]) > Math.abs(work[pivot][col])) pivot = row;
+        }
+        if (Math.abs(work[pivot][col]) < 1e-12) return null;
+        [work[col], work[pivot]] = [work[pivot], work[col]];
+
+        const divisor = work[col][col];
+        for (let j = 0; j < 2 * n; j++) work[col][j] /= divisor;
+        for (let row = 0; row < n; row++) {
+            if (row === col) continue;
+            const factor = work[row][col];
+            if (factor === 0) continue;
+            for (let j = 0; j < 2 * n; j++) work[row][j] -= factor * work[col][j];
+        }
+    }
+
+    return work.map(row => row.slice(n));
+}
+
+// ln Gamma(x) by the Lanczos approximation (g = 7).
+function logGamma(x) {
+    const coefficients = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61503916999185, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    x -= 1;
+    let sum = coefficients[0];
+    for (let i = 1; i < 9; i++) sum += coefficients[i] / (x + i);
+    const t = x + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Upper tail probability of the chi-square distribution (regularized upper incomplete gamma).
+ */
+export function chiSquareSurvival(x, df) {
+    if (x <= 0) return 1;
+    const s = df / 2;
+    const z = x / 2;
+    const prefix = s * Math.log(z) - z - logGamma(s);
+
+    if (z < s + 1) {
+        // Series for the lower tail.
+        let term = 1 / s;
+        let sum = term;
+        for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-14; n++) {
+            term *= z / (s + n);
+            sum += term;
+        }
+        return Math.max(0, 1 - Math.exp(prefix) * sum);
+    }
+
+    // Continued fraction (modified Lentz) for the upper tail.
+    let b = z + 1 - s;
+    let c = 1 / 1e-300;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - s);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < 1e-300) d = 1e-300;
+        c = b + an / c;
+        if (Math.abs(c) < 1e-300) c = 1e-300;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return Math.min(1, Math.exp(prefix) * h);
+}
+
+/**
+ * Two-sided exact binomial test of `k` successes in `n` trials against proportion `p`:
+ * the total probability of all outcomes no more likely than the one observed.
+ */
+export function binomialTest(k, n, p) {
+    if (p <= 0) return k === 0 ? 1 : 0;
+    if (p >= 1) return k === n ? 1 : 0;
+    const logChoose = logGamma(n + 1);
+    const logPmf = i => logChoose - logGamma(i + 1) - logGamma(n - i + 1) + i * Math.log(p) + (n - i) * Math.log(1 - p);
+
+    const observed = logPmf(k);
+    let total = 0;
+    for (let i = 0; i <= n; i++) {
+        const logP = logPmf(i);
+        if (logP <= observed + 1e-7) total += Math.exp(logP); // Relative tolerance for ties
+    }
+    return Math.min(1, total);
+}
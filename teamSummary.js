@@ -0,0 +1,174 @@
+/**
+ * teamSummary.js: Type distribution of a group of respondents (team dashboard)
+ *
+ * Summarises exported result records (see resultRecord.js) for team-building sessions,
+ * entirely in the browser:
+ *
+ * 1.  **Members.** Each record is re-scored from its responses, as on a single import, and
+ *     listed with its reported and best-fit type. A member's type is the best-fit type once
+ *     verification is finished, otherwise the reported type (`verified: false`).
+ * 2.  **Type table.** The 16 whole types in the conventional 4 x 4 layout: rows IJ, IP, EP,
+ *     EJ and columns ST, SF, NF, NT for Form M (for other four-scale instruments, the same
+ *     arrangement of their poles). Each cell holds the count, percentage and member labels.
+ * 3.  **Dichotomies.** Per pole, the number of members with that pole in their type and the
+ *     mean PCI of the members whose *reported* preference is that pole (PCI belongs to
+ *     the reported scores; verification does not change it).
+ * 4.  **Selection ratio type table** (SRTT; McCaulley, 1985). Per type and per pole, the
+ *     index I = group % / reference % against the instrument's `typeDistribution`, with
+ *     its significance: a chi-square goodness-of-fit test (1 df, Yates' correction) when
+ *     at least 5 members are expected, otherwise the exact binomial test. I > 1 means the
+ *     type is over-represented in the group.
+ *
+ * The type table and SRTT need an instrument with four two-pole scales; the SRTT also
+ * needs its `typeDistribution`. They are null otherwise.
+ */
+
+import { getInstrument } from './instruments.js';
+import { scoreRecord } from './resultRecord.js';
+import { chiSquareSurvival, binomialTest } from './statistics.js';
+
+// Significance markers of the SRTT, most significant first.
+export const SRTT_SIGNIFICANCE = [
+    { alpha: 0.001, marker: '***' },
+    { alpha: 0.01, marker: '**' },
+    { alpha: 0.05, marker: '*' }
+];
+
+const MIN_EXPECTED_FOR_CHI_SQUARE = 5;
+
+function round(value, digits = 2) {
+    return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+function percent(count, total) {
+    return total === 0 ? 0 : round((count / total) * 100, 1);
+}
+
+function mean(values) {
+    return values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function hasTypeTable(instrument) {
+    return instrument.scales.length === 4 && instrument.scales.every(scale => scale.poles.length === 2);
+}
+
+// Rows and columns of the type table as pole pairs, e.g. rows [['I', 'J'], ...] for Form M.
+function typeTableLayout(instrument) {
+    const [first, second, third, fourth] = instrument.scales.map(scale => scale.poles);
+    return {
+        rows: [[first[1], fourth[0]], [first[1], fourth[1]], [first[0], fourth[1]], [first[0], fourth[0]]],
+        columns: [[second[0], third[0]], [second[0], third[1]], [second[1], third[1]], [second[1], third[0]]]
+    };
+}
+
+function typeCode(row, column) {
+    return `${row[0]}${column[0]}${column[1]}${row[1]}`;
+}
+
+function scoreMember({ label, record }, allQuestions, instrument) {
+    const { dichotomyResults, reportedType, bestFitType, verified } = scoreRecord(record, allQuestions, instrument);
+    const scaleIds = instrument.scales.map(scale => scale.id);
+
+    return {
+        label,
+        reportedType,
+        bestFitType,
+        type: bestFitType || reportedType,
+        verified,
+        dichotomies: Object.fromEntries(scaleIds.map(key => [key, { preference: dichotomyResults[key].preference, pci: dichotomyResults[key].pci }]))
+    };
+}
+
+/**
+ * Compares `count` of `total` group members with a reference proportion (0-1).
+ */
+function selectionRatio(count, total, referenceProportion) {
+    const expected = total * referenceProportion;
+    let p;
+    let test;
+    if (expected >= MIN_EXPECTED_FOR_CHI_SQUARE && total - expected >= MIN_EXPECTED_FOR_CHI_SQUARE) {
+        const deviation = Math.max(0, Math.abs(count - expected) - 0.5);
+        p = chiSquareSurvival((deviation * deviation) / (total * referenceProportion * (1 - referenceProportion)), 1);
+        test = 'chi-square';
+    } else {
+        p = binomialTest(count, total, referenceProportion);
+        test = 'binomial';
+    }
+    const significance = SRTT_SIGNIFICANCE.find(level => p < level.alpha);
+
+    return {
+        count,
+        percent: percent(count, total),
+        referencePercent: round(referenceProportion * 100, 1),
+        expected: round(expected, 1),
+        index: referenceProportion === 0 ? null : round((count / total) / referenceProportion),
+        p: round(p, 4),
+        test,
+        significance: significance ? significance.marker : ''
+    };
+}
+
+/**
+ * Summarises a group of result records.
+ *
+ * @param {Array<{ label: string, record: object }>} members - Validated records (see
+ *   `parseResultFile` in resultRecord.js) with a label for each member, e.g. the file name.
+ * @param {object} allQuestions - The parsed item bank file (e.g. questions.json).
+ * @param {object} [options]
+ * @param {object} [options.instrument] - Definition from instruments.js; defaults to Form M.
+ * @returns {object} `{ size, members, typeTable, dichotomies, srtt }`, as described above.
+ */
+export function summarizeTeam(members, allQuestions, options = {}) {
+    const instrument = options.instrument || getInstrument();
+    const scored = members.map(member => scoreMember(member, allQuestions, instrument));
+    const size = scored.length;
+
+    const dichotomies = instrument.scales.map((scale, position) => ({
+        id: scale.id,
+        poles: scale.poles.map(pole => {
+            const reportedPcis = scored.filter(member => member.dichotomies[scale.id].preference === pole).map(member => member.dichotomies[scale.id].pci);
+            const count = scored.filter(member => member.type[position] === pole).length;
+            return { pole, count, percent: percent(count, size), meanPci: round(mean(reportedPcis), 1) };
+        })
+    }));
+
+    let typeTable = null;
+    let srtt = null;
+    if (hasTypeTable(instrument)) {
+        const { rows, columns } = typeTableLayout(instrument);
+        const cells = {};
+        rows.forEach(row => columns.forEach(column => {
+            const type = typeCode(row, column);
+            const typeMembers = scored.filter(member => member.type === type);
+            cells[type] = { count: typeMembers.length, percent: percent(typeMembers.length, size), members: typeMembers.map(member => member.label) };
+        }));
+        typeTable = {
+            rows: rows.map(row => columns.map(column => typeCode(row, column))),
+            cells
+        };
+
+        const reference = instrument.typeDistribution;
+        if (reference && size > 0) {
+            const total = Object.values(reference.percentages).reduce((sum, value) => sum + value, 0);
+            const proportion = type => (reference.percentages[type] || 0) / total;
+            const types = Object.keys(cells);
+
+            srtt = {
+                source: reference.source,
+                sampleSize: reference.sampleSize,
+                size,
+                types: Object.fromEntries(types.map(type => [type, selectionRatio(cells[type].count, size, proportion(type))])),
+                poles: instrument.scales.flatMap((scale, position) => scale.poles.map(pole => ({
+                    pole,
+                    ...selectionRatio(
+                        scored.filter(member => member.type[position] === pole).length,
+                        size,
+                        types.filter(type => type[position] === pole).reduce((sum, type) => sum + proportion(type), 0)
+                    )
+                })))
+            };
+        }
+    }
+
+    return { size, members: scored, typeTable, dichotomies, srtt };
+}
@@ -0,0 +1,41 @@
+/**
+ * telemetry.js: Per-item behavioural telemetry captured during the quiz
+ *
+ * For every item the app records, alongside the chosen letter:
+ * - `timeToFirstAnswer`: milliseconds from the question appearing to the item's first
+ *   answer, timed on the visit it was first answered on (null until then) and kept
+ *   through later changes and revisits;
+ * - `answerChanges`: how many times an existing answer was altered, counting both a
+ *   switch to the other option and a clear by clicking the selected label again;
+ * - `revisits`: how many times the item was returned to with the Previous button;
+ * - `skipped`: whether the item was ever passed over with the Skip button.
+ *
+ * The entries live in the session, travel with the answers to the scorer and
+ * validity checks, and are written to exported result records.
+ */
+
+export function createItemTelemetry() {
+    return {
+        timeToFirstAnswer: null,
+        answerChanges: 0,
+        revisits: 0,
+        skipped: false
+    };
+}
+
+export function createTelemetry(itemCount) {
+    return Array.from({ length: itemCount }, createItemTelemetry);
+}
+
+/**
+ * Times to first answer keyed by 1-based question number, for the validity checks.
+ */
+export function responseTimesByNumber(telemetry) {
+    const times = {};
+    telemetry.forEach((entry, index) => {
+        if (entry && entry.timeToFirstAnswer !== null) {
+            times[index + 1] = entry.timeToFirstAnswer;
+        }
+    });
+    return times;
+}
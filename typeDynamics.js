@@ -0,0 +1,68 @@
+/**
+ * typeDynamics.js: Function hierarchy and groupings of a four-letter type
+ *
+ * Derives what practitioners explain first in a feedback session from a type code such
+ * as "INTJ":
+ *
+ * 1.  **Function hierarchy.** The middle letters are the two preferred functions, one
+ *     perceiving (S or N) and one judging (T or F). J-P names the function used in the
+ *     outer world: the judging one for J, the perceiving one for P. E-I says whether that
+ *     extraverted function leads:
+ *       - Dominant: the extraverted function for E types, the other one (introverted) for I.
+ *       - Auxiliary: the other preferred function, in the opposite attitude.
+ *       - Tertiary: the opposite of the auxiliary, in the dominant's attitude.
+ *       - Inferior: the opposite of the dominant, in the opposite attitude.
+ *     INTJ: Ni, Te, Fi, Se. ESFP: Se, Fi, Te, Ni. Attitudes of the tertiary are not
+ *     settled in the literature; this follows the common convention above.
+ * 2.  **Function pair** (ST, SF, NF, NT): the two middle letters.
+ * 3.  **Temperament** (SJ, SP, NF, NT; Keirsey): S types by their J-P letter, N types by
+ *     their judging function.
+ *
+ * Only the E-I, S-N, T-F, J-P codes of Form M have type dynamics; `isTypeCode` tells
+ * whether a code is one of them.
+ */
+
+export const FUNCTION_ROLES = ['dominant', 'auxiliary', 'tertiary', 'inferior'];
+
+const OPPOSITE_FUNCTION = { S: 'N', N: 'S', T: 'F', F: 'T' };
+const OPPOSITE_ATTITUDE = { e: 'i', i: 'e' };
+
+const TYPE_CODE_PATTERN = /^[EI][SN][TF][JP]$/;
+
+export function isTypeCode(code) {
+    return typeof code === 'string' && TYPE_CODE_PATTERN.test(code);
+}
+
+/**
+ * Describes the dynamics of a type.
+ *
+ * @param {string} code - Four-letter type, e.g. "INTJ".
+ * @returns {object} `{ type, hierarchy, functionPair, temperament }`, where `hierarchy` lists
+ *   `{ role, function, attitude, code }` (e.g. `{ role: 'dominant', function: 'N', attitude: 'i', code: 'Ni' }`)
+ *   in the order of FUNCTION_ROLES.
+ */
+export function describeTypeDynamics(code) {
+    if (!isTypeCode(code)) {
+        throw new Error(`"${code}" is not a four-letter type code such as INTJ.`);
+    }
+
+    const [attitude, perceiving, judging, orientation] = code;
+    const extraverted = orientation === 'J' ? judging : perceiving;
+    const introverted = orientation === 'J' ? perceiving : judging;
+
+    const dominant = attitude === 'E' ? { function: extraverted, attitude: 'e' } : { function: introverted, attitude: 'i' };
+    const auxiliary = attitude === 'E' ? { function: introverted, attitude: 'i' } : { function: extraverted, attitude: 'e' };
+    const tertiary = { function: OPPOSITE_FUNCTION[auxiliary.function], attitude: dominant.attitude };
+    const inferior = { function: OPPOSITE_FUNCTION[dominant.function], attitude: OPPOSITE_ATTITUDE[dominant.attitude] };
+
+    return {
+        type: code,
+        hierarchy: [dominant, auxiliary, tertiary, inferior].map((entry, index) => ({
+            role: FUNCTION_ROLES[index],
+            ...entry,
+            code: `${entry.function}${entry.attitude}`
+        })),
+        functionPair: `${perceiving}${judging}`,
+        temperament: perceiving === 'S' ? `S${orientation}` : `N${judging}`
+    };
+}
@@ -0,0 +1,89 @@
+/**
+ * typeProfiles.js: Profiles of the sixteen types for the final screen and the report
+ *
+ * typeProfiles.json holds one profile per type in the sections of PROFILE_SECTIONS: an
+ * overview paragraph, then short points on strengths, potential blind spots, communication,
+ * work environment, stress reactions and development suggestions. Every point names the
+ * letters of the type it rests on (`basis`), e.g. "NT" for a strength that comes from
+ * intuition and thinking together.
+ *
+ * A profile describes the whole type, but someone whose reported preference on a dichotomy
+ * was slight may recognise themselves less in the points that rest on it. For the best-fit
+ * type, `buildTypeProfile` flags every point whose basis touches a dichotomy with a Slight
+ * PCC in the reported type, and lists those dichotomies per section so that the caveat can
+ * name them. The overview rests on the whole type and carries every slight dichotomy.
+ *
+ * Translations work like those of the item banks: PROFILE_TRANSLATIONS maps a locale code
+ * to a file in the same format, whose sections replace the English ones type by type.
+ * Locales without a file, and types or sections a file leaves out, show the English text.
+ */
+
+export const PROFILE_SECTIONS = ['overview', 'strengths', 'blindSpots', 'communication', 'workEnvironment', 'stress', 'development'];
+
+const PROFILE_URL = './typeProfiles.json';
+const PROFILE_TRANSLATIONS = { fr: './typeProfiles.fr.json', es: './typeProfiles.es.json' };
+
+// Points resting on a preference in this clarity band (see `clarity.bands` in instruments.js) get a caveat.
+const SLIGHT = 'Slight';
+
+function fetchJson(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+        return response.json();
+    });
+}
+
+function localize(library, translation) {
+    const types = {};
+    for (const [code, profile] of Object.entries(library.types)) {
+        types[code] = { ...profile, ...(translation.types && translation.types[code]) };
+    }
+    return { ...library, locale: translation.locale, types };
+}
+
+/**
+ * Loads the profiles for locale `code`, falling back to English where there is no
+ * translation (or it cannot be loaded).
+ */
+export function loadTypeProfiles(code) {
+    const translationUrl = PROFILE_TRANSLATIONS[code];
+    const translation = translationUrl
+        ? fetchJson(translationUrl).catch(error => {
+            console.warn(`Could not load the ${code} type profiles, using the original:`, error);
+            return null;
+        })
+        : Promise.resolve(null);
+
+    return Promise.all([fetchJson(PROFILE_URL), translation])
+        .then(([library, localized]) => (localized ? localize(library, localized) : library));
+}
+
+/**
+ * The profile of a type with its clarity caveats.
+ *
+ * @param {object} library - From `loadTypeProfiles`.
+ * @param {string} typeCode - The best-fit type, e.g. "INTJ".
+ * @param {object} reportedType - `dichotomyResults` from `calculateResults`.
+ * @param {string[]} dichotomyOrder - Dichotomy keys such as "E-I", in display order.
+ * @returns {object|null} `{ type, slight, sections }`, or null when the library has no
+ *   profile for the type. `slight` lists the dichotomies with a Slight reported preference.
+ *   Sections come in the order of PROFILE_SECTIONS: `{ id, text, caveats }` for the
+ *   overview, `{ id, items: [{ text, basis, caveats }], caveats }` for the others, where
+ *   `caveats` lists the slight dichotomies the text rests on.
+ */
+export function buildTypeProfile(library, typeCode, reportedType, dichotomyOrder) {
+    const profile = library && library.types[typeCode];
+    if (!profile) return null;
+
+    const slight = dichotomyOrder.filter(key => reportedType[key] && reportedType[key].pcc === SLIGHT);
+    const slightFor = basis => slight.filter(key => key.split('-').some(pole => basis.includes(pole)));
+
+    const sections = PROFILE_SECTIONS.filter(id => profile[id]).map(id => {
+        if (id === 'overview') return { id, text: profile.overview, caveats: slight };
+
+        const items = profile[id].map(({ text, basis }) => ({ text, basis, caveats: slightFor(basis) }));
+        return { id, items, caveats: slight.filter(key => items.some(item => item.caveats.includes(key))) };
+    });
+
+    return { type: typeCode, slight, sections };
+}
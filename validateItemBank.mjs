@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * validateItemBank.mjs: Standalone integrity check of the item banks
+ *
+ * Runs itemBankValidator.js over each registered instrument's item bank file and
+ * parameter matrix, and over its item translations (questions.<locale>.json), and lists
+ * every problem found. Run it after editing questions.json, a translation or
+ * itemParameterMatrix.js.
+ * Requires Node.js 20.19 or later (it loads the browser ES modules directly).
+ *
+ * Usage:
+ *     node validateItemBank.mjs [--instrument <id>]
+ *
+ * Without --instrument every registered instrument is checked. Issues are printed as
+ * `<instrument> item <n>: <severity> [<code>] <message>` (with `[<locale>]` after the
+ * instrument for translations); the exit code is 1 if any
+ * error was found (warnings alone exit 0), 2 on usage errors.
+ */
+
+import fs from 'node:fs';
+import { listInstruments, getInstrument } from './instruments.js';
+import { validateItemBank, validateItemTranslation } from './itemBankValidator.js';
+
+function usage(message) {
+    if (message) console.error(`Error: ${message}\n`);
+    console.error('Usage: node validateItemBank.mjs [--instrument <id>]');
+    process.exit(2);
+}
+
+function parseArgs(argv) {
+    const options = { instrument: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--instrument') {
+            if (i + 1 >= argv.length) usage(`${arg} needs a value.`);
+            options.instrument = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            usage();
+        } else {
+            usage(`Unknown argument ${arg}.`);
+        }
+    }
+
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    let instruments;
+    try {
+        instruments = options.instrument
+            ? [getInstrument(options.instrument)]
+            : listInstruments().map(entry => getInstrument(entry.id));
+    } catch (error) {
+        usage(error.message);
+    }
+
+    let errorCount = 0;
+
+    const readJson = url => JSON.parse(fs.readFileSync(new URL(url, import.meta.url), 'utf8'));
+    const printResult = (label, result) => {
+        for (const issue of result.issues) {
+            const where = issue.item === null ? label : `${label} item ${issue.item}`;
+            console.error(`${where}: ${issue.severity} [${issue.code}] ${issue.message}`);
+        }
+        const errors = result.issues.filter(issue => issue.severity === 'error').length;
+        const warnings = result.issues.length - errors;
+        errorCount += errors;
+        console.log(`${label}: ${errors} error(s), ${warnings} warning(s).`);
+    };
+
+    for (const instrument of instruments) {
+        let itemBankData;
+        try {
+            itemBankData = readJson(instrument.itemBank.url);
+            printResult(instrument.id, validateItemBank(instrument, itemBankData));
+        } catch (error) {
+            console.error(`${instrument.id}: ${error.message}`);
+            errorCount++;
+            continue;
+        }
+
+        for (const [locale, url] of Object.entries(instrument.itemBank.translations || {})) {
+            const label = `${instrument.id} [${locale}]`;
+            try {
+                printResult(label, validateItemTranslation(instrument, itemBankData, readJson(url)));
+            } catch (error) {
+                console.error(`${label}: ${error.message}`);
+                errorCount++;
+            }
+        }
+    }
+
+    process.exitCode = errorCount > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,163 @@
+/**
+ * validity.js: Response-validity and careless-responding checks
+ *
+ * Flags response patterns that make a profile questionable before it is used in a
+ * coaching conversation. None of these checks changes the scores; they only tell
+ * the respondent and the practitioner how much weight the profile can bear.
+ *
+ * 1.  **Long-string responding:** The longest run of the same option letter across
+ *     consecutively served, answered items. The keyed letter alternates between items on
+ *     Form M: answering every item for one type gives runs of 6 to 9 (9 for ESFP and INTJ).
+ *     The threshold of 14 was set five above that longest consistent run, so that no
+ *     clear-cut profile is flagged and a run this long points to answering by letter.
+ *
+ * 2.  **Person-fit (lz):** The standardized log-likelihood of the response pattern
+ *     under the instrument's 2PL model (Drasgow, Levine & Williams, 1985), with each item evaluated
+ *     at its dichotomy's theta:
+ *         l0 = sum[u ln P + (1 - u) ln Q],  E(l0) = sum[P ln P + Q ln Q],
+ *         Var(l0) = sum[P Q (ln(P / Q))^2],  lz = (l0 - E(l0)) / sqrt(Var(l0)).
+ *     Large negative values mean the answers fit no single preference level, as with
+ *     random or inattentive responding.
+ *
+ * 3.  **Implausibly fast answering:** The share of answered items whose response time
+ *     (from the question appearing to the first answer, see telemetry.js) is below a reading floor.
+ */
+
+import { probability } from './scorer.js';
+import { getInstrument, getItems } from './instruments.js';
+
+export const VALIDITY_THRESHOLDS = {
+    longString: 14, // Same letter this many times in a row or more
+    lzCritical: -1.645, // One-tailed 5% level
+    lzMinItems: 20, // lz is unstable on short patterns
+    fastResponseMs: 1000, // Faster than anyone can read an item
+    fastProportion: 0.25 // Share of answered items below fastResponseMs
+};
+
+function longestRun(answers, sequence) {
+    let longest = { length: 0, choice: null, startNumber: null };
+    let current = { length: 0, choice: null, startNumber: null };
+
+    for (const number of sequence) {
+        const answer = answers[number];
+        if (!answer) {
+            current = { length: 0, choice: null, startNumber: null }; // An omission breaks the run
+            continue;
+        }
+        if (answer.choice === current.choice) {
+            current.length++;
+        } else {
+            current = { length: 1, choice: answer.choice, startNumber: number };
+        }
+        if (current.length > longest.length) {
+            longest = { ...current };
+        }
+    }
+
+    return longest;
+}
+
+function personFit(answers, allQuestions, dichotomyResults, instrument) {
+    const questions = getItems(instrument, allQuestions);
+    let l0 = 0;
+    let expected = 0;
+    let variance = 0;
+    let itemCount = 0;
+
+    for (const [number, answer] of Object.entries(answers)) {
+        const qIndex = Number(number) - 1;
+        const params = instrument.itemParameters[qIndex];
+        const question = questions[qIndex];
+        if (!params || !question) continue;
+
+        const theta = dichotomyResults[params.dichotomy].theta;
+        // Keep P away from 0 and 1 so that the logs stay finite.
+        const P = Math.min(1 - 1e-6, Math.max(1e-6, probability(theta, params.params.a, params.params.b)));
+        const Q = 1 - P;
+        const u = question.options[answer.choice].scoreKey;
+
+        l0 += u === 1 ? Math.log(P) : Math.log(Q);
+        expected += P * Math.log(P) + Q * Math.log(Q);
+        variance += P * Q * Math.pow(Math.log(P / Q), 2);
+        itemCount++;
+    }
+
+    if (itemCount === 0 || variance === 0) {
+        return { lz: null, itemCount };
+    }
+    return { lz: (l0 - expected) / Math.sqrt(variance), itemCount };
+}
+
+/**
+ * Runs all validity checks.
+ *
+ * @param {object} answers - Answers keyed by 1-based question number, as for `calculateResults`.
+ * @param {object} allQuestions - The parsed item bank file, e.g. questions.json ({ MBTI_Form_M: [...] }).
+ * @param {object} context
+ * @param {number[]} context.sequence - Question numbers in the order they were served.
+ * @param {object} context.dichotomyResults - From `calculateResults`.
+ * @param {object} [context.responseTimes] - Milliseconds to first answer, keyed by question number.
+ * @param {object} [context.instrument] - Instrument definition from instruments.js (default: Form M).
+ * @returns {{flagged: boolean, flags: object[]}} One entry per check, each with `id`, `label`,
+ *     `flagged`, `value`, `threshold`, a plain-language `explanation` and the `details` it
+ *     quotes (so that the app can word a raised flag in the respondent's language).
+ */
+export function assessValidity(answers, allQuestions, { sequence, dichotomyResults, responseTimes = {}, instrument = getInstrument() }) {
+    const flags = [];
+
+    // 1. Long-string responding
+    const run = longestRun(answers, sequence);
+    flags.push({
+        id: 'longString',
+        label: 'Repeated answer pattern',
+        flagged: run.length >= VALIDITY_THRESHOLDS.longString,
+        value: run.length,
+        threshold: VALIDITY_THRESHOLDS.longString,
+        details: { choice: run.choice, length: run.length, startNumber: run.startNumber },
+        explanation: run.length >= VALIDITY_THRESHOLDS.longString
+            ? `Option ${run.choice} was chosen ${run.length} times in a row, starting at question ${run.startNumber}. Answer letters alternate on this form, so long runs usually mean the questions were not read.`
+            : `The longest run of the same option letter was ${run.length}, which is within the normal range.`
+    });
+
+    // 2. Person-fit
+    const { lz, itemCount } = personFit(answers, allQuestions, dichotomyResults, instrument);
+    const lzUsable = lz !== null && itemCount >= VALIDITY_THRESHOLDS.lzMinItems;
+    const misfit = lzUsable && lz < VALIDITY_THRESHOLDS.lzCritical;
+    flags.push({
+        id: 'personFit',
+        label: 'Inconsistent answers (person-fit)',
+        flagged: misfit,
+        value: lz === null ? null : parseFloat(lz.toFixed(2)),
+        threshold: VALIDITY_THRESHOLDS.lzCritical,
+        details: { value: lz === null ? null : lz.toFixed(2), itemCount },
+        explanation: !lzUsable
+            ? `Too few questions were answered (${itemCount}) to judge how consistent the answers are.`
+            : misfit
+                ? `The answers are less consistent than expected for anyone with these preferences (lz = ${lz.toFixed(2)}). This happens with random or inattentive answering, or when the questions were read in an unusual way.`
+                : `The answers are about as consistent as expected (lz = ${lz.toFixed(2)}).`
+    });
+
+    // 3. Implausibly fast answering
+    const times = Object.keys(answers).map(number => responseTimes[number]).filter(time => typeof time === 'number');
+    const fastCount = times.filter(time => time < VALIDITY_THRESHOLDS.fastResponseMs).length;
+    const fastProportion = times.length > 0 ? fastCount / times.length : null;
+    const tooFast = fastProportion !== null && fastProportion > VALIDITY_THRESHOLDS.fastProportion;
+    flags.push({
+        id: 'fastResponding',
+        label: 'Very fast answering',
+        flagged: tooFast,
+        value: fastProportion === null ? null : parseFloat(fastProportion.toFixed(2)),
+        threshold: VALIDITY_THRESHOLDS.fastProportion,
+        details: { fastCount, timedCount: times.length, seconds: VALIDITY_THRESHOLDS.fastResponseMs / 1000 },
+        explanation: fastProportion === null
+            ? 'No response times were recorded.'
+            : tooFast
+                ? `${fastCount} of ${times.length} questions were answered in under ${VALIDITY_THRESHOLDS.fastResponseMs / 1000} second, faster than they can be read.`
+                : `Answering speed was plausible (${fastCount} of ${times.length} questions under ${VALIDITY_THRESHOLDS.fastResponseMs / 1000} second).`
+    });
+
+    return {
+        flagged: flags.some(flag => flag.flagged),
+        flags
+    };
+}